@@ -3,11 +3,14 @@
  * 
  * This is the main application component that manages the entire movie search
  * and rating functionality. It allows users to:
- * - Search for movies using the OMDb API
+ * - Search for movies using the OMDb API (or offline fixtures)
  * - View movie details
  * - Rate movies with a star rating system
  * - Save watched movies to localStorage
+ * - Keep a watchlist of movies to watch later
+ * - Undo/redo changes to the watched list
  * - View statistics about watched movies
+ * - Share and restore searches and movies through the URL
  * 
  * @component
  * @author Your Name
@@ -17,13 +20,62 @@
 import { useState, useEffect, useRef } from "react";
 
 import StarRating from "./StarRating";
+import { movieProvider } from "./movieProvider";
 import { useMovies } from "./useMovies";
+import { useMovieDetails } from "./useMovieDetails";
+import { useSeason } from "./useSeason";
 import { useLocalStorage } from "./useLocalStorage";
-import { useKey } from "./useKey";
+import { useIndexedDB } from "./useIndexedDB";
+import { useKey, useShortcuts, formatCombo } from "./useKey";
+import { useUndo } from "./useUndo";
+import { useUrlState } from "./useUrlState";
+import {
+  SORT_FIELDS,
+  DEFAULT_SORT,
+  getGenres,
+  filterWatched,
+  sortWatched,
+  parseRuntime,
+  splitNames,
+  getEntryType,
+} from "./watchedList";
+import { getWatchedStats } from "./watchedStats";
+import { addRecentSearch, getSearchSuggestions } from "./searchHistory";
+import {
+  getToday,
+  addWatch,
+  rateLatestWatch,
+  getRatingHistory,
+  getDiary,
+  groupDiaryByMonth,
+} from "./watchDiary";
+import {
+  watchedSchema,
+  watchlistSchema,
+  watchedSortSchema,
+  recentSearchesSchema,
+} from "./storageSchemas";
+import {
+  exportJson,
+  exportCsv,
+  parseImport,
+  planMerge,
+  downloadFile,
+} from "./watchedTransfer";
 
-// OMDb API key for fetching movie data
-// Note: In a production app, this should be stored in an environment variable
-const key = "99496f8d";
+// Hook used to persist the watched list
+// IndexedDB handles large libraries better; localStorage is the fallback
+// Chosen once so every render calls the same hook
+const useWatchedStorage =
+  "indexedDB" in window ? useIndexedDB : useLocalStorage;
+
+// How long the undo toast stays on screen (ms)
+const TOAST_DURATION = 6000;
+
+// Shorter names for the rating sources listed by OMDb
+const RATING_SOURCE_LABELS = {
+  "Internet Movie Database": "IMDb",
+};
 
 /**
  * Calculates the average of an array of numbers
@@ -36,37 +88,330 @@ const key = "99496f8d";
 const average = (arr) =>
   arr.reduce((acc, cur, i, arr) => acc + cur / arr.length, 0);
 
+/**
+ * Picks the movie info stored in the watched list and watchlist
+ * 
+ * @param {Object} movie - Full movie details from the movie provider
+ * @returns {Object} Entry without user data (rating, note, watches)
+ */
+function toMovieEntry(movie) {
+  return {
+    imdbID: movie.imdbID,
+    title: movie.Title,
+    year: movie.Year,
+    poster: movie.Poster,
+    // Kept so the watched list can be filtered by genre
+    genre: movie.Genre,
+    // Kept for the favorite directors/actors stats
+    director: movie.Director,
+    actors: movie.Actors,
+    imdbRating: Number(movie.imdbRating),
+    // Extract number from runtime string (e.g., "120 min" -> 120)
+    // (for series, OMDb gives the runtime of one episode)
+    runtime: parseRuntime(movie.Runtime),
+    // "movie", "series" or "episode"
+    type: movie.Type,
+    // Episodes remember where they belong
+    ...(movie.Type === "episode" && {
+      seriesID: movie.seriesID,
+      season: Number(movie.Season),
+      episode: Number(movie.Episode),
+    }),
+  };
+}
+
+/**
+ * Builds the watched entry info of an episode from its season listing
+ * 
+ * Season listings only have the title, release date and IMDb rating of
+ * each episode; the rest (poster, genre, runtime per episode) comes from
+ * the series
+ * 
+ * @param {Object} series - Full series details from the movie provider
+ * @param {number} season - Season number
+ * @param {Object} episode - Entry of the season's Episodes list
+ * @returns {Object} Entry without user data, like toMovieEntry
+ */
+function toEpisodeEntry(series, season, episode) {
+  return {
+    ...toMovieEntry(series),
+    imdbID: episode.imdbID,
+    // e.g. "Breaking Bad S1E3: ...And the Bag's in the River"
+    title: `${series.Title} S${season}E${episode.Episode}: ${episode.Title}`,
+    year: episode.Released?.match(/^\d{4}/)?.[0] ?? series.Year,
+    imdbRating: Number(episode.imdbRating) || 0,
+    type: "episode",
+    seriesID: series.imdbID,
+    season,
+    episode: Number(episode.Episode),
+  };
+}
+
+/**
+ * Lists every rating source of a movie (IMDb, Rotten Tomatoes, Metacritic...)
+ * 
+ * Some OMDb entries have a Metascore but no Metacritic entry in Ratings;
+ * the Metascore is added as one in that case
+ * 
+ * @param {Object} movie - Full movie details from the movie provider
+ * @returns {Array} [{ source, value }], e.g. { source: "Metacritic", value: "74/100" }
+ */
+function getRatingSources(movie) {
+  const sources = (movie.Ratings ?? []).map(({ Source, Value }) => ({
+    source: RATING_SOURCE_LABELS[Source] ?? Source,
+    value: Value,
+  }));
+
+  const hasMetacritic = sources.some(({ source }) => source === "Metacritic");
+  if (!hasMetacritic && movie.Metascore && movie.Metascore !== "N/A")
+    sources.push({ source: "Metacritic", value: `${movie.Metascore}/100` });
+
+  return sources.filter(({ value }) => value && value !== "N/A");
+}
+
 /**
  * Main App Component
  * 
  * This is the root component that orchestrates the entire application.
  * It manages:
- * - Search query state
- * - Selected movie state
+ * - Search query, filters and selected movie (kept in the URL)
  * - Watched movies list (persisted in localStorage)
  * - Movie search results (fetched from API)
  * 
  * @returns {JSX.Element} The main application UI
  */
 export default function App() {
-  // State for the search query input
-  // This triggers the movie search when changed
-  const [query, setQuery] = useState("");
-
-  // State for the currently selected movie ID
-  // null means no movie is selected (shows watched list)
-  // When a movie ID is set, it shows the movie details
-  const [selectedId, setSelectedId] = useState(null);
-
-  // Custom hook that fetches movies from OMDb API based on the query
-  // Returns: movies array, loading state, and error state
-  // Also calls handleCloseMovie callback when query changes (closes movie details)
-  const { movies, isLoading, error } = useMovies(query, handleCloseMovie);
-
-  // Custom hook that manages watched movies in localStorage
-  // Automatically syncs state with localStorage
+  // State kept in the URL (?q=batman&type=movie&year=2005&movie=tt0372784),
+  // restored on load and on browser back/forward:
+  // - query: the search query input, triggers the movie search when changed
+  // - filters: { type, year } shown next to the search input
+  //   (empty strings mean "any type" / "any year")
+  // - selectedId: the open movie; null shows the watched list instead
+  const [urlState, setUrlState] = useUrlState();
+  const { query, filters, selectedId } = urlState;
+
+  // Custom hook that fetches movies from OMDb API based on the query and filters
+  // Returns: movies array, pagination info, loading state, and error state
+  const {
+    movies,
+    totalResults,
+    isLoading,
+    isLoadingMore,
+    error,
+    loadMoreError,
+    loadMore,
+    hasMore,
+  } = useMovies(query, filters);
+
+  // Custom hook that manages watched movies in IndexedDB (or localStorage)
+  // Automatically syncs state with the browser storage
   // Initial value is empty array, stored under key "watched"
-  const [watched, setWatched] = useLocalStorage([], "watched");
+  // The schema migrates data saved by older versions of the app
+  // isWatchedLoaded is false while IndexedDB is still reading the list
+  const [watched, setWatched, isWatchedLoaded] = useWatchedStorage(
+    [],
+    "watched",
+    watchedSchema
+  );
+
+  // Toast shown after a change: { message, action: "undo" | "redo" | null }
+  // null when no toast is shown
+  const [toast, setToast] = useState(null);
+
+  // IMDb IDs of movies rated from the search results whose details are
+  // still loading (their "Rate" button is disabled until then)
+  const [pendingQuickRates, setPendingQuickRates] = useState([]);
+
+  // Whether the keyboard shortcut help overlay is open
+  const [isHelpOpen, setIsHelpOpen] = useState(false);
+
+  // Movies the user wants to watch later, also persisted in localStorage
+  const [watchlist, setWatchlist] = useLocalStorage(
+    [],
+    "watchlist",
+    watchlistSchema
+  );
+
+  // Undo/redo history of the watched list (and of the watchlist entries
+  // a change moves along with it, e.g. when a movie is marked as watched)
+  // Changes go through updateLists() so they can be undone
+  const {
+    update: updateLists,
+    undo: undoLists,
+    redo: redoLists,
+  } = useUndo({
+    watched: [watched, setWatched],
+    watchlist: [watchlist, setWatchlist],
+  });
+
+  // Recent search queries, most recent first, persisted across sessions
+  const [recentSearches, setRecentSearches] = useLocalStorage(
+    [],
+    "recentSearches",
+    recentSearchesSchema
+  );
+
+  // Which list the right-hand box shows: "watched", "watchlist" or "diary"
+  const [activeList, setActiveList] = useState("watched");
+
+  // How the watched list is sorted, persisted across sessions
+  // e.g. { field: "userRating", order: "desc" }
+  const [watchedSort, setWatchedSort] = useLocalStorage(
+    DEFAULT_SORT,
+    "watchedSort",
+    watchedSortSchema
+  );
+
+  // Text and genre filters for the watched list (not persisted)
+  const [watchedFilters, setWatchedFilters] = useState({ text: "", genre: "" });
+
+  // Watched movies after applying the filters and sort
+  // Derived state: computed on every render instead of stored
+  const visibleWatched = sortWatched(
+    filterWatched(watched, watchedFilters),
+    watchedSort
+  );
+
+  /**
+   * Effect to hide the toast after a few seconds
+   * 
+   * A new toast (new object) restarts the timer
+   */
+  useEffect(
+    function () {
+      if (!toast) return;
+
+      const timer = setTimeout(() => setToast(null), TOAST_DURATION);
+
+      return function () {
+        clearTimeout(timer);
+      };
+    },
+    [toast]
+  );
+
+  // Keyboard shortcuts for undo (Ctrl+Z / ⌘Z) and redo (Ctrl+Shift+Z / ⌘⇧Z)
+  // They don't fire while typing, so text fields keep their native undo
+  useKey(
+    "Mod+Z",
+    function (e) {
+      e.preventDefault();
+      handleUndo();
+    },
+    { description: "Undo the last change to the watched list" }
+  );
+  useKey(
+    "Mod+Shift+Z",
+    function (e) {
+      e.preventDefault();
+      handleRedo();
+    },
+    { description: "Redo the last undone change" }
+  );
+
+  // "?" opens (and closes) the list of all keyboard shortcuts
+  useKey("?", () => setIsHelpOpen((isOpen) => !isOpen), {
+    description: "Show this list of shortcuts",
+  });
+
+  /**
+   * Changes the watched list (and the watchlist) and offers to undo it
+   * 
+   * @param {Object} updaters - Functions of the previous lists:
+   *   { watched, watchlist } (either can be left out)
+   * @param {string} label - What changed (e.g. "Removed Inception")
+   * 
+   * Both lists are undone together, as a single step
+   */
+  function handleChangeLists(updaters, label) {
+    updateLists(updaters, label);
+    setToast({ message: label, action: "undo" });
+  }
+
+  /**
+   * Changes the watched list and offers to undo it
+   * 
+   * @param {Function} updater - Function of the previous watched list
+   * @param {string} label - What changed (e.g. "Removed Inception")
+   */
+  function handleChangeWatched(updater, label) {
+    handleChangeLists({ watched: updater }, label);
+  }
+
+  /**
+   * Undoes the last change to the watched list (and offers to redo it)
+   */
+  function handleUndo() {
+    const label = undoLists();
+    if (label) setToast({ message: `Undone: ${label}`, action: "redo" });
+  }
+
+  /**
+   * Redoes the last undone change (and offers to undo it again)
+   */
+  function handleRedo() {
+    const label = redoLists();
+    if (label) setToast({ message: label, action: "undo" });
+  }
+
+  /**
+   * Changes the search query
+   * 
+   * Closes the movie details, since the user is looking for something else
+   * Doesn't add a history entry (one per keystroke would be too many)
+   * 
+   * @param {string} query - New search query
+   */
+  function handleChangeQuery(query) {
+    setUrlState((state) =>
+      state.query === query ? {} : { query, selectedId: null }
+    );
+  }
+
+  /**
+   * Remembers a query in the recent searches
+   * 
+   * @param {string} query - Query the user searched for
+   */
+  function handleSaveSearch(query) {
+    setRecentSearches((searches) => addRecentSearch(searches, query));
+  }
+
+  /**
+   * Opens a movie from the search results
+   * 
+   * The query found something worth opening, so it's kept as a recent search
+   * 
+   * @param {string} id - The IMDb ID of the movie
+   */
+  function handleSelectResult(id) {
+    handleSaveSearch(query);
+    handleSelectMovie(id);
+  }
+
+  /**
+   * Searches for a name clicked in the movie details (director, actor, genre)
+   * 
+   * Adds a history entry, so the back button returns to the movie
+   * 
+   * @param {string} text - Text to search for
+   */
+  function handleSearchFor(text) {
+    setUrlState({ query: text, selectedId: null }, { push: true });
+    handleSaveSearch(text);
+  }
+
+  /**
+   * Changes the search filters (and closes the movie details)
+   * 
+   * @param {Function} updater - Function of the previous filters
+   */
+  function handleChangeFilters(updater) {
+    setUrlState((state) => ({
+      filters: updater(state.filters),
+      selectedId: null,
+    }));
+  }
 
   /**
    * Handles movie selection/deselection
@@ -77,9 +422,10 @@ export default function App() {
    * - If clicking the same movie, it deselects (sets to null)
    * - If clicking a different movie, it selects that movie
    * - This toggles between movie list and movie details view
+   * - Adds a history entry, so the back button returns to the previous movie
    */
   function handleSelectMovie(id) {
-    setSelectedId(selectedId === id ? null : id);
+    setUrlState({ selectedId: selectedId === id ? null : id }, { push: true });
   }
 
   /**
@@ -87,9 +433,10 @@ export default function App() {
    * 
    * Sets selectedId to null, which causes the app to show
    * the watched movies list instead of movie details
+   * (the back button opens the movie again)
    */
   function handleCloseMovie() {
-    setSelectedId(null);
+    setUrlState({ selectedId: null }, { push: true });
   }
 
   /**
@@ -105,11 +452,168 @@ export default function App() {
    * Note: localStorage sync is handled automatically by useLocalStorage hook
    */
   function handleAddWatached(movie) {
-    setWatched((watched) => [...watched, movie]);
+    // updatedAt decides which tab wins if two tabs edit the same movie
+    movie = { ...movie, updatedAt: new Date().toISOString() };
+    handleChangeLists(
+      {
+        // Never add a movie twice (e.g. rated again while its details
+        // were still loading)
+        watched: (watched) =>
+          watched.some((entry) => entry.imdbID === movie.imdbID)
+            ? watched
+            : [...watched, movie],
+        // A watched movie no longer belongs on the watchlist
+        // (part of the same change, so undo puts it back there)
+        watchlist: (watchlist) =>
+          watchlist.filter((entry) => entry.imdbID !== movie.imdbID),
+      },
+      `Added ${movie.title}`
+    );
     // ❌ Don't do this - causes stale state issues:
     // localStorage.setItem("watched", JSON.stringify([...watched, movie]));
   }
 
+  /**
+   * Adds a movie to the watchlist ("want to watch")
+   * 
+   * @param {Object} movie - The movie object to add to the watchlist
+   */
+  function handleAddToWatchlist(movie) {
+    movie = { ...movie, updatedAt: new Date().toISOString() };
+    setWatchlist((watchlist) => [...watchlist, movie]);
+  }
+
+  /**
+   * Removes a movie from the watchlist
+   * 
+   * @param {string} id - The IMDb ID of the movie to remove
+   */
+  function handleRemoveFromWatchlist(id) {
+    setWatchlist((watchlist) =>
+      watchlist.filter((movie) => movie.imdbID !== id)
+    );
+  }
+
+  /**
+   * Moves a watchlist entry to the watched list with the given rating
+   * 
+   * @param {Object} movie - The watchlist entry
+   * @param {number} userRating - The rating the user just gave
+   */
+  function handleMarkWatched(movie, userRating) {
+    handleAddWatached({
+      ...movie,
+      userRating,
+      note: "",
+      countRatingDecisions: 1,
+      ratingHistory: [{ userRating, ratedAt: new Date().toISOString() }],
+      watches: [{ watchedOn: getToday(), userRating }],
+    });
+  }
+
+  /**
+   * Rates a movie straight from the search results
+   * 
+   * Search results only have a title, year and poster, so the full details
+   * are loaded first (usually from the cache). Movies on the watchlist
+   * already have them.
+   * 
+   * @param {string} id - The IMDb ID of the movie
+   * @param {number} userRating - The rating the user just gave
+   * 
+   * Does nothing until the watched list has loaded (a new entry would
+   * otherwise win over the stored one when they are merged), or while
+   * the same movie is already being rated
+   */
+  async function handleQuickRate(id, userRating) {
+    if (!isWatchedLoaded || pendingQuickRates.includes(id)) return;
+    if (watched.some((movie) => movie.imdbID === id)) return;
+
+    try {
+      setPendingQuickRates((ids) => [...ids, id]);
+
+      const movie =
+        watchlist.find((movie) => movie.imdbID === id) ??
+        toMovieEntry(await movieProvider.getById(id));
+
+      handleMarkWatched(movie, userRating);
+    } catch (err) {
+      setToast({ message: err.message, action: null });
+    } finally {
+      setPendingQuickRates((ids) =>
+        ids.filter((pendingId) => pendingId !== id)
+      );
+    }
+  }
+
+  /**
+   * Updates the rating and note of a movie already in the watched list
+   * 
+   * @param {string} id - The IMDb ID of the movie to update
+   * @param {Object} changes - The edited values
+   * @param {number} changes.userRating - New user rating
+   * @param {string} changes.note - New free-text note/review
+   * @param {number} changes.ratingDecisions - Rating changes made while editing
+   * 
+   * Every new rating is appended to the movie's ratingHistory, and the
+   * rating decisions made while editing are added to countRatingDecisions
+   * The new rating also becomes the rating of the latest watch in the diary
+   */
+  function handleUpdateWatched(id, { userRating, note, ratingDecisions }) {
+    const title = watched.find((movie) => movie.imdbID === id)?.title;
+
+    handleChangeWatched(
+      (watched) =>
+        watched.map(function (movie) {
+          if (movie.imdbID !== id) return movie;
+
+          return {
+            ...movie,
+            userRating,
+            note,
+            updatedAt: new Date().toISOString(),
+            countRatingDecisions: movie.countRatingDecisions + ratingDecisions,
+            ratingHistory: getRatingHistory(movie, userRating),
+            watches: rateLatestWatch(movie.watches, userRating),
+          };
+        }),
+      `Updated ${title}`
+    );
+  }
+
+  /**
+   * Logs another watch (rewatch) of a movie already in the watched list
+   * 
+   * @param {string} id - The IMDb ID of the movie
+   * @param {Object} watch - The new diary entry
+   * @param {string} watch.watchedOn - Date of the watch ("YYYY-MM-DD")
+   * @param {number} watch.userRating - Rating given after this watch
+   * 
+   * The movie's rating becomes the rating of its latest watch
+   * (a rewatch logged with an older date doesn't change it)
+   */
+  function handleLogWatch(id, watch) {
+    const title = watched.find((movie) => movie.imdbID === id)?.title;
+
+    handleChangeWatched(
+      (watched) =>
+        watched.map(function (movie) {
+          if (movie.imdbID !== id) return movie;
+
+          const { watches, userRating } = addWatch(movie, watch);
+
+          return {
+            ...movie,
+            userRating,
+            watches,
+            updatedAt: new Date().toISOString(),
+            ratingHistory: getRatingHistory(movie, userRating),
+          };
+        }),
+      `Logged a rewatch of ${title}`
+    );
+  }
+
   /**
    * Removes a movie from the watched list
    * 
@@ -119,7 +623,12 @@ export default function App() {
    * This ensures React detects the state change
    */
   function handleDeleteWatched(id) {
-    setWatched((watched) => watched.filter((movie) => movie.imdbID !== id));
+    const title = watched.find((movie) => movie.imdbID === id)?.title;
+
+    handleChangeWatched(
+      (watched) => watched.filter((movie) => movie.imdbID !== id),
+      `Removed ${title}`
+    );
   }
 
   // Main render - conditionally renders different views based on state
@@ -128,8 +637,17 @@ export default function App() {
       {/* Navigation bar with logo, search, and results count */}
       <Navbar>
         <Logo />
-        <Search query={query} setQuery={setQuery} />
-        <NumResult movies={movies} />
+        <div className="search-bar">
+          <Search
+            query={query}
+            setQuery={handleChangeQuery}
+            recentSearches={recentSearches}
+            onSaveSearch={handleSaveSearch}
+            onClearSearches={() => setRecentSearches([])}
+          />
+          <SearchFilters filters={filters} setFilters={handleChangeFilters} />
+        </div>
+        <NumResult movies={movies} totalResults={totalResults} />
       </Navbar>
 
       {/* Main content area with two boxes */}
@@ -140,7 +658,20 @@ export default function App() {
           {isLoading && <Loader />}
           {/* Show movie list if loaded successfully */}
           {!isLoading && !error && (
-            <MovieList movies={movies} onSelectMovie={handleSelectMovie} />
+            <MovieList
+              movies={movies}
+              selectedId={selectedId}
+              watched={watched}
+              watchlist={watchlist}
+              onSelectMovie={handleSelectResult}
+              onQuickRate={handleQuickRate}
+              canQuickRate={isWatchedLoaded}
+              pendingQuickRates={pendingQuickRates}
+              hasMore={hasMore}
+              isLoadingMore={isLoadingMore}
+              loadMoreError={loadMoreError}
+              onLoadMore={loadMore}
+            />
           )}
           {/* Show error message if API call failed */}
           {error && <ErrorMessage message={error} />}
@@ -151,23 +682,80 @@ export default function App() {
           {/* If a movie is selected, show its details */}
           {selectedId ? (
             <MovieDetails
+              // key resets the rating and note when another movie is opened
+              key={selectedId}
               selectedId={selectedId}
               onCloseMovie={handleCloseMovie}
               onAddWatched={handleAddWatached}
+              onUpdateWatched={handleUpdateWatched}
+              onLogWatch={handleLogWatch}
+              onAddToWatchlist={handleAddToWatchlist}
+              onRemoveFromWatchlist={handleRemoveFromWatchlist}
+              onSearch={handleSearchFor}
+              onMarkWatched={handleMarkWatched}
               watched={watched}
+              isWatchedLoaded={isWatchedLoaded}
+              watchlist={watchlist}
             />
+          ) : activeList === "watchlist" ? (
+            /* Otherwise, show the list picked with the tabs */
+            <>
+              <ListTabs activeList={activeList} onSelectList={setActiveList} />
+              <Watchlist
+                watchlist={watchlist}
+                onSelectMovie={handleSelectMovie}
+                onMarkWatched={handleMarkWatched}
+                onRemove={handleRemoveFromWatchlist}
+              />
+            </>
+          ) : activeList === "diary" ? (
+            /* Every watch, most recent first */
+            <>
+              <ListTabs activeList={activeList} onSelectList={setActiveList} />
+              <WatchDiary watched={watched} onSelectMovie={handleSelectMovie} />
+            </>
           ) : (
-            /* Otherwise, show watched movies list with summary */
+            /* Watched movies list with summary */
+            /* Summary stats reflect the filtered movies */
             <>
-              <WatchedSummary watched={watched} />
+              <ListTabs activeList={activeList} onSelectList={setActiveList} />
+              <WatchedSummary watched={visibleWatched} />
+              <WatchedControls
+                genres={getGenres(watched)}
+                filters={watchedFilters}
+                setFilters={setWatchedFilters}
+                sort={watchedSort}
+                setSort={setWatchedSort}
+              />
               <WatchedMovieList
-                watched={watched}
+                watched={visibleWatched}
+                onSelectMovie={handleSelectMovie}
                 onDeleteWatched={handleDeleteWatched}
               />
+              <WatchedTransfer
+                watched={watched}
+                onImport={handleChangeWatched}
+              />
             </>
           )}
         </Box>
       </Main>
+
+      {/* Undo/redo toast for the last change to the watched list */}
+      {toast && (
+        <Toast
+          message={toast.message}
+          actionLabel={toast.action === "undo" ? "Undo" : "Redo"}
+          onAction={
+            toast.action &&
+            (toast.action === "undo" ? handleUndo : handleRedo)
+          }
+          onClose={() => setToast(null)}
+        />
+      )}
+
+      {/* Keyboard shortcut help, opened with "?" */}
+      {isHelpOpen && <ShortcutHelp onClose={() => setIsHelpOpen(false)} />}
     </>
   );
 }
@@ -210,37 +798,224 @@ function Logo() {
  * - Press Enter key to focus the input and clear it
  * - Controlled input (value is controlled by parent state)
  * - Real-time search as user types
+ * - Dropdown with recent searches and titles from cached results
+ *   (↑/↓ to move, Enter to pick, Escape to close), and a button to
+ *   clear the history
  * 
  * @param {Object} props - Component props
  * @param {string} props.query - Current search query value
  * @param {Function} props.setQuery - Function to update search query
+ * @param {string[]} props.recentSearches - Recent queries, most recent first
+ * @param {Function} props.onSaveSearch - Callback to remember a query
+ * @param {Function} props.onClearSearches - Callback to clear the recent searches
  */
-function Search({ setQuery, query }) {
+function Search({
+  setQuery,
+  query,
+  recentSearches,
+  onSaveSearch,
+  onClearSearches,
+}) {
   // useRef to get direct reference to the input DOM element
   // This allows us to programmatically focus the input
   const inputElement = useRef(null);
 
+  // Whether the suggestions dropdown is open
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Index of the highlighted suggestion (-1: none, typing goes to the input)
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // Derived state: recomputed on every render from the query and history
+  const suggestions = getSearchSuggestions(query, recentSearches);
+  const showDropdown = isOpen && suggestions.length > 0;
+
   // Custom hook that listens for Enter key press
   // When Enter is pressed (and input is not already focused):
   // 1. Focus the input field
   // 2. Clear the search query
-  useKey("Enter", function () {
-    // Don't do anything if the input is already focused
-    // This prevents clearing the query while user is typing
-    if (document.activeElement === inputElement.current) return;
-    inputElement.current.focus();
-    setQuery("");
-  });
+  // Shortcuts don't fire while a text field is focused, so this never
+  // clears the query while the user is typing
+  useKey(
+    "Enter",
+    function () {
+      inputElement.current.focus();
+      setQuery("");
+    },
+    { description: "Focus and clear the search" }
+  );
+
+  /**
+   * Searches for a suggestion and closes the dropdown
+   * 
+   * @param {Object} suggestion - Picked suggestion ({ value })
+   */
+  function handlePick(suggestion) {
+    setQuery(suggestion.value);
+    onSaveSearch(suggestion.value);
+    setIsOpen(false);
+    setActiveIndex(-1);
+  }
+
+  /**
+   * Handles typing: updates the query and shows matching suggestions
+   * 
+   * @param {Event} e - Change event of the input
+   */
+  function handleChange(e) {
+    setQuery(e.target.value);
+    setIsOpen(true);
+    setActiveIndex(-1);
+  }
+
+  /**
+   * Keyboard navigation within the dropdown
+   * 
+   * - ↓ / ↑: highlight the next / previous suggestion (wraps around)
+   * - Enter: search the highlighted suggestion, or keep the typed query
+   * - Escape: close the dropdown (without closing the movie details)
+   * 
+   * @param {KeyboardEvent} e - The keyboard event
+   */
+  function handleKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!showDropdown) return setIsOpen(true);
+
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      const count = suggestions.length;
+      // -1 (the input itself) is part of the cycle
+      setActiveIndex(
+        (index) => ((index + step + count + 2) % (count + 1)) - 1
+      );
+    }
+
+    if (e.key === "Enter") {
+      if (showDropdown && activeIndex >= 0)
+        return handlePick(suggestions[activeIndex]);
+
+      onSaveSearch(query);
+      setIsOpen(false);
+    }
+
+    if (e.key === "Escape" && showDropdown) {
+      // Escape also closes the movie details (see MovieDetails);
+      // while the dropdown is open, it only closes the dropdown
+      e.stopPropagation();
+      setIsOpen(false);
+      setActiveIndex(-1);
+    }
+  }
 
   return (
-    <input
-      className="search"
-      type="text"
-      placeholder="Search movies..."
-      value={query}
-      ref={inputElement}
-      onChange={(e) => setQuery(e.target.value)}
-    />
+    <div className="search-box">
+      <input
+        className="search"
+        type="text"
+        placeholder="Search movies..."
+        value={query}
+        ref={inputElement}
+        role="combobox"
+        aria-label="Search movies"
+        aria-autocomplete="list"
+        aria-expanded={showDropdown}
+        aria-controls="search-suggestions"
+        aria-activedescendant={
+          showDropdown && activeIndex >= 0
+            ? `suggestion-${activeIndex}`
+            : undefined
+        }
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+      />
+
+      {showDropdown && (
+        // preventDefault on mouse down keeps the focus in the input,
+        // so the dropdown stays open until the click is handled
+        <div
+          className="suggestions"
+          onMouseDown={(e) => e.preventDefault()}
+        >
+          <ul id="search-suggestions" role="listbox" aria-label="Suggestions">
+            {suggestions.map((suggestion, i) => (
+              <li
+                key={suggestion.id}
+                id={`suggestion-${i}`}
+                role="option"
+                aria-selected={i === activeIndex}
+                className={i === activeIndex ? "active" : ""}
+                onClick={() => handlePick(suggestion)}
+                onMouseEnter={() => setActiveIndex(i)}
+              >
+                <span aria-hidden="true">
+                  {suggestion.type === "recent" ? "🕘" : "🎬"}
+                </span>
+                {suggestion.label}
+              </li>
+            ))}
+          </ul>
+          {recentSearches.length > 0 && (
+            <button className="btn-clear-history" onClick={onClearSearches}>
+              Clear search history
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Search Filters Component
+ * 
+ * Lets the user narrow the search by result type and year of release
+ * (e.g. to tell "Dune" 1984 apart from "Dune" 2021)
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Current filters: { type, year }
+ * @param {Function} props.setFilters - Function to update the filters
+ */
+function SearchFilters({ filters, setFilters }) {
+  /**
+   * Updates a single filter, keeping the others unchanged
+   * 
+   * @param {string} name - Filter name ("type" or "year")
+   * @param {string} value - New filter value
+   */
+  function handleChange(name, value) {
+    setFilters((filters) => ({ ...filters, [name]: value }));
+  }
+
+  return (
+    <div className="search-filters">
+      <select
+        className="search-filter"
+        aria-label="Type"
+        value={filters.type}
+        onChange={(e) => handleChange("type", e.target.value)}
+      >
+        <option value="">All types</option>
+        <option value="movie">Movies</option>
+        <option value="series">Series</option>
+        <option value="episode">Episodes</option>
+      </select>
+
+      <input
+        className="search-filter search-filter-year"
+        type="text"
+        inputMode="numeric"
+        maxLength={4}
+        placeholder="Year"
+        aria-label="Year"
+        value={filters.year}
+        // Only keep digits so the year is always a valid filter value
+        onChange={(e) =>
+          handleChange("year", e.target.value.replace(/\D/g, ""))
+        }
+      />
+    </div>
   );
 }
 
@@ -248,14 +1023,25 @@ function Search({ setQuery, query }) {
  * Number of Results Component
  * 
  * Displays the count of search results
+ * Shows "10 of 342" while only some pages have been loaded
  * 
  * @param {Object} props - Component props
  * @param {Array} props.movies - Array of movies from search results
+ * @param {number} props.totalResults - Total number of matches across all pages
  */
-function NumResult({ movies }) {
+function NumResult({ movies, totalResults }) {
+  // All results are loaded: a single count is enough
+  if (movies.length >= totalResults)
+    return (
+      <p className="num-results">
+        Found <strong>{movies.length}</strong> results
+      </p>
+    );
+
   return (
     <p className="num-results">
-      Found <strong>{movies.length}</strong> results
+      Showing <strong>{movies.length}</strong> of{" "}
+      <strong>{totalResults}</strong> results
     </p>
   );
 }
@@ -277,18 +1063,154 @@ function Main({ movies, children }) {
  * 
  * Displays a list of movies from search results
  * Each movie is clickable and shows movie details when clicked
+ * Movies already watched or on the watchlist are marked as such
+ * Loads the next page automatically when the end of the list scrolls into view
  * 
  * @param {Object} props - Component props
  * @param {Array} props.movies - Array of movie objects to display
+ * @param {string} props.selectedId - IMDb ID of the open movie
+ * @param {Array} props.watched - Array of watched movies
+ * @param {Array} props.watchlist - Array of movies on the watchlist
  * @param {Function} props.onSelectMovie - Callback when a movie is clicked
+ * @param {Function} props.onQuickRate - Callback to rate a movie from the list
+ * @param {boolean} props.canQuickRate - Whether movies can be rated from the list
+ *                                       (false until the watched list has loaded)
+ * @param {Array} props.pendingQuickRates - IDs of movies still being rated
+ * @param {boolean} props.hasMore - Whether more pages can be loaded
+ * @param {boolean} props.isLoadingMore - Whether the next page is being fetched
+ * @param {string} props.loadMoreError - Why the last page failed to load, if it did
+ * @param {Function} props.onLoadMore - Callback to fetch the next page
  */
-function MovieList({ movies, onSelectMovie }) {
+function MovieList({
+  movies,
+  selectedId,
+  watched,
+  watchlist,
+  onSelectMovie,
+  onQuickRate,
+  canQuickRate,
+  pendingQuickRates,
+  hasMore,
+  isLoadingMore,
+  loadMoreError,
+  onLoadMore,
+}) {
+  // Reference to the element rendered after the last movie
+  // When it becomes visible, the user has scrolled to the end of the list
+  const sentinelElement = useRef(null);
+
+  // Reference to the list, used to scroll the selected movie into view
+  const listElement = useRef(null);
+
+  // Lookups for the badges, so each result doesn't search both lists
+  const userRatings = new Map(
+    watched.map((movie) => [movie.imdbID, movie.userRating])
+  );
+  const watchlistIds = new Set(watchlist.map((movie) => movie.imdbID));
+
+  /**
+   * Opens the movie next to the selected one
+   * 
+   * @param {number} step - 1 for the next movie, -1 for the previous one
+   * 
+   * Starts at the first movie if none of the results is selected,
+   * and stops at both ends of the list
+   */
+  function selectNearby(step) {
+    if (!movies?.length) return;
+
+    const index = movies.findIndex((movie) => movie.imdbID === selectedId);
+    const nextIndex =
+      index === -1 ? 0 : Math.min(Math.max(index + step, 0), movies.length - 1);
+
+    // handleSelectMovie closes the movie if it is selected again
+    if (nextIndex !== index) onSelectMovie(movies[nextIndex].imdbID);
+  }
+
+  // j/k move through the results, like in many mail and feed readers
+  useKey("J", () => selectNearby(1), { description: "Open the next result" });
+  useKey("K", () => selectNearby(-1), {
+    description: "Open the previous result",
+  });
+
+  /**
+   * Effect to keep the selected movie visible when it changes
+   */
+  useEffect(
+    function () {
+      listElement.current
+        ?.querySelector(".selected")
+        ?.scrollIntoView({ block: "nearest" });
+    },
+    [selectedId]
+  );
+
+  /**
+   * Effect to observe the end of the list (infinite scroll)
+   * 
+   * IntersectionObserver calls us when the sentinel enters the visible part
+   * of the scrolling Box, so we don't need to listen to scroll events.
+   * Re-created on every render so it always calls the latest onLoadMore.
+   */
+  useEffect(function () {
+    const sentinel = sentinelElement.current;
+
+    // Nothing to observe, or the browser doesn't support IntersectionObserver
+    // (the "Load more" button is still available in that case)
+    // After a failed page, only the button retries, so a failing request
+    // isn't repeated every time the list re-renders
+    if (!sentinel || loadMoreError || !("IntersectionObserver" in window))
+      return;
+
+    const observer = new IntersectionObserver(function ([entry]) {
+      if (entry.isIntersecting) onLoadMore();
+    });
+    observer.observe(sentinel);
+
+    return function () {
+      observer.disconnect();
+    };
+  });
+
   return (
-    <ul className="list list-movies">
+    <ul className="list list-movies" ref={listElement}>
       {/* Optional chaining (?.) prevents error if movies is undefined */}
       {movies?.map((movie) => (
-        <Movie movie={movie} key={movie.imdbID} onSelectMovie={onSelectMovie} />
+        <Movie
+          movie={movie}
+          key={movie.imdbID}
+          isSelected={movie.imdbID === selectedId}
+          userRating={userRatings.get(movie.imdbID)}
+          isOnWatchlist={watchlistIds.has(movie.imdbID)}
+          onSelectMovie={onSelectMovie}
+          onQuickRate={onQuickRate}
+          isQuickRateDisabled={
+            !canQuickRate || pendingQuickRates.includes(movie.imdbID)
+          }
+        />
       ))}
+
+      {/* End of list marker with a manual fallback button */}
+      {/* A failed page is reported here, so the loaded movies stay visible */}
+      {hasMore && (
+        <li className="list-more" ref={sentinelElement}>
+          {isLoadingMore ? (
+            <Loader />
+          ) : (
+            <>
+              {loadMoreError && (
+                <p className="list-more-error">
+                  <span>🔥</span>
+                  {loadMoreError}
+                </p>
+              )}
+              <button className="btn-more" onClick={onLoadMore}>
+                Load more
+              </button>
+            </>
+          )}
+        </li>
+      )}
     </ul>
   );
 }
@@ -298,14 +1220,37 @@ function MovieList({ movies, onSelectMovie }) {
  * 
  * Displays a single movie in the search results list
  * Shows poster, title, and year
+ * Watched movies show the user's rating; other movies show whether they
+ * are on the watchlist and a "Rate" button that adds them to the watched
+ * list without opening the details
  * 
  * @param {Object} props - Component props
  * @param {Object} props.movie - Movie object with Poster, Title, Year, imdbID
+ * @param {boolean} props.isSelected - Whether the movie is open in the details view
+ * @param {number} props.userRating - The user's rating (undefined if not watched)
+ * @param {boolean} props.isOnWatchlist - Whether the movie is on the watchlist
  * @param {Function} props.onSelectMovie - Callback when movie is clicked
+ * @param {Function} props.onQuickRate - Callback receiving (imdbID, rating)
+ * @param {boolean} props.isQuickRateDisabled - Whether the "Rate" button is
+ *   disabled (watched list still loading, or this movie is being rated)
  */
-function Movie({ movie, onSelectMovie }) {
+function Movie({
+  movie,
+  isSelected,
+  userRating,
+  isOnWatchlist,
+  onSelectMovie,
+  onQuickRate,
+  isQuickRateDisabled,
+}) {
+  // Whether the star rating prompt is shown
+  const [isRating, setIsRating] = useState(false);
+
   return (
-    <li onClick={() => onSelectMovie(movie.imdbID)}>
+    <li
+      className={isSelected ? "selected" : ""}
+      onClick={() => onSelectMovie(movie.imdbID)}
+    >
       <img src={movie.Poster} alt={`${movie.Title} poster`} />
       <h3>{movie.Title}</h3>
       <div>
@@ -313,6 +1258,45 @@ function Movie({ movie, onSelectMovie }) {
           <span>🗓</span>
           <span>{movie.Year}</span>
         </p>
+        {userRating ? (
+          <p className="badge" title={`You rated this movie ${userRating}`}>
+            <span>🌟</span>
+            <span>Watched · {userRating}</span>
+          </p>
+        ) : isRating ? (
+          // Clicks on the stars shouldn't open the movie details
+          <span onClick={(e) => e.stopPropagation()}>
+            <StarRating
+              maxRating={10}
+              size={16}
+              precision={0.5}
+              label={`Rate ${movie.Title}`}
+              onSetMovieRating={function (rating) {
+                setIsRating(false);
+                onQuickRate(movie.imdbID, rating);
+              }}
+            />
+          </span>
+        ) : (
+          <>
+            {isOnWatchlist && (
+              <p className="badge">
+                <span>📌</span>
+                <span>Watchlist</span>
+              </p>
+            )}
+            <button
+              className="btn-mark"
+              disabled={isQuickRateDisabled}
+              onClick={function (e) {
+                e.stopPropagation();
+                setIsRating(true);
+              }}
+            >
+              Rate
+            </button>
+          </>
+        )}
       </div>
     </li>
   );
@@ -343,47 +1327,654 @@ function Box({ children }) {
   );
 }
 
+/**
+ * List Tabs Component
+ * 
+ * Tabs at the top of the right-hand box to switch between
+ * the watched list, the watchlist and the watch diary
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.activeList - The list currently shown ("watched", "watchlist" or "diary")
+ * @param {Function} props.onSelectList - Callback when a tab is clicked
+ */
+function ListTabs({ activeList, onSelectList }) {
+  const tabs = [
+    { value: "watched", label: "Watched" },
+    { value: "watchlist", label: "Watchlist" },
+    { value: "diary", label: "Diary" },
+  ];
+
+  return (
+    <div className="tabs" role="tablist">
+      {tabs.map(({ value, label }) => (
+        <button
+          key={value}
+          role="tab"
+          aria-selected={activeList === value}
+          className={`tab ${activeList === value ? "tab-active" : ""}`}
+          onClick={() => onSelectList(value)}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Watch Diary Component
+ * 
+ * Timeline of every watch (first watches and rewatches), grouped by month,
+ * most recent first
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.watched - Array of watched movie objects
+ * @param {Function} props.onSelectMovie - Callback to open a movie's details
+ */
+function WatchDiary({ watched, onSelectMovie }) {
+  const diary = getDiary(watched);
+  const months = groupDiaryByMonth(diary);
+  const rewatches = diary.filter((entry) => entry.isRewatch).length;
+
+  return (
+    <>
+      <div className="summary">
+        <h2>Your diary</h2>
+        <div>
+          <p>
+            <span>#️⃣</span>
+            <span>{diary.length} watches</span>
+          </p>
+          <p>
+            <span>↻</span>
+            <span>{rewatches} rewatches</span>
+          </p>
+        </div>
+      </div>
+      {months.map(({ month, label, entries }) => (
+        <section key={month ?? "unknown"} className="diary-month">
+          <h3>
+            {label} <span>({entries.length})</span>
+          </h3>
+          <ul className="list">
+            {entries.map((entry) => (
+              <li key={entry.key}>
+                <img src={entry.poster} alt={`${entry.title} poster`} />
+                <h3
+                  className="clickable"
+                  onClick={() => onSelectMovie(entry.imdbID)}
+                >
+                  {entry.title}
+                </h3>
+                <div>
+                  <p>
+                    <span>🗓</span>
+                    <span>{entry.watchedOn ?? "?"}</span>
+                  </p>
+                  <p>
+                    <span>🌟</span>
+                    <span>{entry.userRating}</span>
+                  </p>
+                  {entry.isRewatch && <p className="diary-rewatch">↻ Rewatch</p>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </>
+  );
+}
+
+/**
+ * Watchlist Component
+ * 
+ * Displays the movies the user wants to watch later
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.watchlist - Array of watchlist movie objects
+ * @param {Function} props.onSelectMovie - Callback to open a movie's details
+ * @param {Function} props.onMarkWatched - Callback to move a movie to the watched list
+ * @param {Function} props.onRemove - Callback to remove a movie from the watchlist
+ */
+function Watchlist({ watchlist, onSelectMovie, onMarkWatched, onRemove }) {
+  return (
+    <>
+      <div className="summary">
+        <h2>Movies to watch</h2>
+        <div>
+          <p>
+            <span>#️⃣</span>
+            <span>{watchlist.length} movies</span>
+          </p>
+        </div>
+      </div>
+      <ul className="list">
+        {watchlist.map((movie) => (
+          <WatchlistMovie
+            movie={movie}
+            key={movie.imdbID}
+            onSelectMovie={onSelectMovie}
+            onMarkWatched={onMarkWatched}
+            onRemove={onRemove}
+          />
+        ))}
+      </ul>
+    </>
+  );
+}
+
+/**
+ * Individual Watchlist Movie Component
+ * 
+ * Displays a single movie in the watchlist
+ * "Mark as watched" shows a star rating; picking a rating moves the
+ * movie to the watched list
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.movie - Watchlist movie object
+ * @param {Function} props.onSelectMovie - Callback to open this movie's details
+ * @param {Function} props.onMarkWatched - Callback to move this movie to the watched list
+ * @param {Function} props.onRemove - Callback to remove this movie from the watchlist
+ */
+function WatchlistMovie({ movie, onSelectMovie, onMarkWatched, onRemove }) {
+  // Whether the star rating prompt is shown
+  const [isRating, setIsRating] = useState(false);
+
+  return (
+    <li>
+      <img src={movie.poster} alt={`${movie.title} poster`} />
+      <h3 className="clickable" onClick={() => onSelectMovie(movie.imdbID)}>
+        {movie.title}
+      </h3>
+      <div>
+        {isRating ? (
+          /* The movie is moved as soon as the user picks a rating */
+          <StarRating
+            maxRating={10}
+            size={16}
+            precision={0.5}
+            label={`Rate ${movie.title}`}
+            onSetMovieRating={(rating) => onMarkWatched(movie, rating)}
+          />
+        ) : (
+          <>
+            <p>
+              <span>🗓</span>
+              <span>{movie.year}</span>
+            </p>
+            <p>
+              <span>⏳</span>
+              <span>{movie.runtime} min</span>
+            </p>
+            <button className="btn-mark" onClick={() => setIsRating(true)}>
+              Mark as watched
+            </button>
+          </>
+        )}
+
+        {/* Delete button to remove movie from the watchlist */}
+        <button className="btn-delete" onClick={() => onRemove(movie.imdbID)}>
+          x
+        </button>
+      </div>
+    </li>
+  );
+}
+
 /**
  * Watched Movies Summary Component
  * 
  * Displays statistics about watched movies:
- * - Total number of movies watched
+ * - Total number of movies watched (and episodes, if any)
  * - Average IMDb rating
  * - Average user rating
- * - Average runtime
+ * - Average runtime of films (series and episodes would skew it)
+ * - A "Stats" button that expands the full stats dashboard
  * 
  * @param {Object} props - Component props
  * @param {Array} props.watched - Array of watched movie objects
  */
 function WatchedSummary({ watched }) {
+  // Whether the stats dashboard is expanded
+  const [isExpanded, setIsExpanded] = useState(false);
+
   // Calculate averages using the average helper function
   // .map() extracts the specific property from each movie
   const avgImdbRating = average(watched.map((movie) => movie.imdbRating));
   const avgUserRating = average(watched.map((movie) => movie.userRating));
-  const avgRuntime = average(watched.map((movie) => movie.runtime));
+  // Rounded to whole minutes (averages like 131.66666 aren't useful)
+  const avgRuntime = Math.round(
+    average(
+      watched
+        .filter((movie) => getEntryType(movie) === "movie")
+        .map((movie) => movie.runtime)
+    )
+  );
+
+  // Episodes are listed one by one, so they're counted apart from movies
+  const episodeCount = watched.filter(
+    (movie) => getEntryType(movie) === "episode"
+  ).length;
+
+  return (
+    <div className="summary">
+      <header className="summary-header">
+        <h2>Movies you watched</h2>
+        {watched.length > 0 && (
+          <button
+            className="btn-stats"
+            aria-expanded={isExpanded}
+            onClick={() => setIsExpanded((isExpanded) => !isExpanded)}
+          >
+            {isExpanded ? "Hide stats" : "📊 Stats"}
+          </button>
+        )}
+      </header>
+      <div>
+        <p>
+          <span>#️⃣</span>
+          <span>{watched.length - episodeCount} movies</span>
+        </p>
+        {episodeCount > 0 && (
+          <p>
+            <span>📺</span>
+            <span>{episodeCount} episodes</span>
+          </p>
+        )}
+        <p>
+          <span>⭐️</span>
+          {/* toFixed(2) formats number to 2 decimal places */}
+          <span>{avgImdbRating.toFixed(2)}</span>
+        </p>
+        <p>
+          <span>🌟</span>
+          <span>{avgUserRating.toFixed(2)}</span>
+        </p>
+        <p>
+          <span>⏳</span>
+          <span>{avgRuntime} min</span>
+        </p>
+      </div>
+      {/* Average user rating drawn as (partly filled) stars */}
+      {watched.length > 0 && (
+        <StarRating
+          className="summary-rating"
+          maxRating={10}
+          size={16}
+          value={avgUserRating}
+          precision={0.1}
+          readOnly
+          label="Your average rating"
+        />
+      )}
+      {isExpanded && watched.length > 0 && <WatchedStats watched={watched} />}
+    </div>
+  );
+}
+
+/**
+ * Watched Stats Component
+ * 
+ * Expanded stats dashboard shown inside the summary:
+ * - Total hours watched
+ * - Distribution of your ratings (histogram)
+ * - Your rating compared to IMDb, per movie
+ * - Favorite genres, directors and actors
+ * - Movies per decade and per year of release
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.watched - Array of watched movie objects
+ */
+function WatchedStats({ watched }) {
+  const stats = getWatchedStats(watched);
+
+  // "+0.8" / "-1.2", so the sign is always shown
+  const formatDelta = (delta) => `${delta > 0 ? "+" : ""}${delta.toFixed(1)}`;
+
+  return (
+    <section className="stats">
+      <h3>⏱ {stats.totalHours} hours watched</h3>
+
+      <h3>Your ratings</h3>
+      <StatsBars
+        items={stats.ratingHistogram.map(({ rating, count }) => ({
+          label: `${rating}🌟`,
+          count,
+        }))}
+      />
+
+      <h3>You vs IMDb ({formatDelta(stats.avgDelta)} on average)</h3>
+      <ul className="stats-deltas">
+        {stats.ratingDeltas.map((movie) => (
+          <li key={movie.imdbID}>
+            <span>{movie.title}</span>
+            <span>
+              {movie.userRating} vs {movie.imdbRating}{" "}
+              <strong
+                className={movie.delta >= 0 ? "stats-up" : "stats-down"}
+              >
+                {formatDelta(movie.delta)}
+              </strong>
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      <StatsRanking title="Favorite genres" items={stats.topGenres} />
+      <StatsRanking title="Favorite directors" items={stats.topDirectors} />
+      <StatsRanking title="Favorite actors" items={stats.topActors} />
+
+      <h3>Movies per decade</h3>
+      <StatsBars
+        items={stats.perDecade.map(({ group, count }) => ({
+          label: `${group}s`,
+          count,
+        }))}
+      />
+
+      <h3>Movies per year</h3>
+      <StatsBars
+        items={stats.perYear.map(({ group, count }) => ({
+          label: String(group),
+          count,
+        }))}
+      />
+    </section>
+  );
+}
+
+/**
+ * Stats Bars Component
+ * 
+ * Simple horizontal bar chart; the longest bar is the biggest count
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.items - Bars to draw: [{ label, count }]
+ */
+function StatsBars({ items }) {
+  const maxCount = Math.max(1, ...items.map((item) => item.count));
+
+  return (
+    <ul className="stats-bars">
+      {items.map(({ label, count }) => (
+        <li key={label}>
+          <span className="stats-bar-label">{label}</span>
+          <span
+            className="stats-bar"
+            style={{ width: `${(count / maxCount) * 100}%` }}
+          />
+          <span className="stats-bar-count">{count}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Stats Ranking Component
+ * 
+ * Numbered list of the most frequent names (genres, directors, actors)
+ * Hidden when there is nothing to rank (e.g. only movies saved before
+ * directors and actors were stored)
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.title - Heading of the ranking
+ * @param {Array} props.items - Names to list: [{ name, count }]
+ */
+function StatsRanking({ title, items }) {
+  if (!items.length) return null;
+
+  return (
+    <>
+      <h3>{title}</h3>
+      <ol className="stats-ranking">
+        {items.map(({ name, count }) => (
+          <li key={name}>
+            <span>{name}</span>
+            <span>{count}</span>
+          </li>
+        ))}
+      </ol>
+    </>
+  );
+}
+
+/**
+ * Watched Movies Controls Component
+ * 
+ * Filter box, genre filter and sort controls shown above the watched list
+ * 
+ * @param {Object} props - Component props
+ * @param {string[]} props.genres - Genres available in the watched list
+ * @param {Object} props.filters - Current filters: { text, genre }
+ * @param {Function} props.setFilters - Function to update the filters
+ * @param {Object} props.sort - Current sort: { field, order }
+ * @param {Function} props.setSort - Function to update the sort
+ */
+function WatchedControls({ genres, filters, setFilters, sort, setSort }) {
+  return (
+    <div className="watched-controls">
+      <input
+        className="watched-control watched-control-text"
+        type="text"
+        placeholder="Filter watched..."
+        aria-label="Filter watched movies"
+        value={filters.text}
+        onChange={(e) =>
+          setFilters((filters) => ({ ...filters, text: e.target.value }))
+        }
+      />
+
+      <select
+        className="watched-control"
+        aria-label="Genre"
+        value={filters.genre}
+        onChange={(e) =>
+          setFilters((filters) => ({ ...filters, genre: e.target.value }))
+        }
+      >
+        <option value="">All genres</option>
+        {genres.map((genre) => (
+          <option value={genre} key={genre}>
+            {genre}
+          </option>
+        ))}
+      </select>
+
+      <select
+        className="watched-control"
+        aria-label="Sort by"
+        value={sort.field}
+        onChange={(e) => setSort((sort) => ({ ...sort, field: e.target.value }))}
+      >
+        {SORT_FIELDS.map(({ value, label }) => (
+          <option value={value} key={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+
+      {/* Toggles between ascending and descending order */}
+      <button
+        className="watched-control btn-sort-order"
+        aria-label={sort.order === "asc" ? "Ascending" : "Descending"}
+        onClick={() =>
+          setSort((sort) => ({
+            ...sort,
+            order: sort.order === "asc" ? "desc" : "asc",
+          }))
+        }
+      >
+        {sort.order === "asc" ? "↑" : "↓"}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Watched List Export/Import Component
+ * 
+ * Lets the user back up the watched list (JSON or CSV) and import it again,
+ * or import a Letterboxd diary export
+ * 
+ * Imports are not applied right away: the component shows a preview of
+ * what will be added or updated, and the user confirms it
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.watched - Array of watched movie objects
+ * @param {Function} props.onImport - Callback to change the watched list:
+ *                                    (updater, label) => void
+ */
+function WatchedTransfer({ watched, onImport }) {
+  // Pending import: { format, entries, errors, plan }
+  // (null when nothing to preview)
+  const [pendingImport, setPendingImport] = useState(null);
+
+  // Loading state while reading (and, for Letterboxd, resolving) a file
+  const [isImporting, setIsImporting] = useState(false);
+
+  // Error message if the file couldn't be read at all
+  const [error, setError] = useState("");
+
+  /**
+   * Reads the chosen file and prepares the import preview
+   * 
+   * @param {Event} e - Change event of the file input
+   */
+  async function handleFile(e) {
+    const file = e.target.files[0];
+    // Reset the input so choosing the same file again triggers onChange
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      setIsImporting(true);
+      setError("");
+
+      const { format, entries, errors } = await parseImport(
+        await file.text(),
+        file.name
+      );
+      setPendingImport({
+        format,
+        entries,
+        errors,
+        plan: planMerge(watched, entries),
+      });
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  }
+
+  /**
+   * Applies the previewed import to the watched list
+   * 
+   * The merge is recomputed from the imported entries against the latest
+   * list, in case it changed while the preview was open
+   */
+  function handleApply() {
+    const { entries, plan } = pendingImport;
+    onImport(
+      (watched) => planMerge(watched, entries).merged,
+      `Imported ${plan.added.length + plan.updated.length} movies`
+    );
+    setPendingImport(null);
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
 
   return (
-    <div className="summary">
-      <h2>Movies you watched</h2>
-      <div>
-        <p>
-          <span>#️⃣</span>
-          <span>{watched.length} movies</span>
-        </p>
-        <p>
-          <span>⭐️</span>
-          {/* toFixed(2) formats number to 2 decimal places */}
-          <span>{avgImdbRating.toFixed(2)}</span>
-        </p>
-        <p>
-          <span>🌟</span>
-          <span>{avgUserRating.toFixed(2)}</span>
-        </p>
-        <p>
-          <span>⏳</span>
-          <span>{avgRuntime} min</span>
-        </p>
+    <div className="transfer">
+      <div className="transfer-actions">
+        <button
+          className="btn-transfer"
+          onClick={() =>
+            downloadFile(
+              exportJson(watched),
+              `usepopcorn-watched-${today}.json`,
+              "application/json"
+            )
+          }
+        >
+          Export JSON
+        </button>
+        <button
+          className="btn-transfer"
+          onClick={() =>
+            downloadFile(
+              exportCsv(watched),
+              `usepopcorn-watched-${today}.csv`,
+              "text/csv"
+            )
+          }
+        >
+          Export CSV
+        </button>
+        {/* The label styles the hidden file input as a button */}
+        <label className="btn-transfer">
+          {isImporting ? "Importing..." : "Import..."}
+          <input
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            hidden
+            disabled={isImporting}
+            onChange={handleFile}
+          />
+        </label>
       </div>
+
+      {error && <p className="transfer-error">🔥 {error}</p>}
+
+      {/* Preview of the changes before they are applied */}
+      {pendingImport && (
+        <div className="transfer-preview">
+          <h3>Import preview ({pendingImport.format})</h3>
+          <p>
+            {pendingImport.plan.added.length} new &bull;{" "}
+            {pendingImport.plan.updated.length} updated &bull;{" "}
+            {pendingImport.plan.unchanged.length} unchanged &bull;{" "}
+            {pendingImport.errors.length} skipped
+          </p>
+          <ul>
+            {pendingImport.plan.added.map((movie) => (
+              <li key={movie.imdbID}>
+                + {movie.title} ({movie.year}) 🌟 {movie.userRating}
+              </li>
+            ))}
+            {pendingImport.plan.updated.map((movie) => (
+              <li key={movie.imdbID}>
+                ~ {movie.title} ({movie.year}) 🌟 {movie.userRating}
+              </li>
+            ))}
+            {pendingImport.errors.map((error) => (
+              <li key={error} className="transfer-error">
+                ! {error}
+              </li>
+            ))}
+          </ul>
+          <div className="transfer-actions">
+            <button
+              className="btn-transfer btn-transfer-primary"
+              onClick={handleApply}
+              disabled={
+                !pendingImport.plan.added.length &&
+                !pendingImport.plan.updated.length
+              }
+            >
+              Apply import
+            </button>
+            <button
+              className="btn-transfer"
+              onClick={() => setPendingImport(null)}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -395,15 +1986,17 @@ function WatchedSummary({ watched }) {
  * 
  * @param {Object} props - Component props
  * @param {Array} props.watched - Array of watched movie objects
+ * @param {Function} props.onSelectMovie - Callback to open a movie (to edit its rating)
  * @param {Function} props.onDeleteWatched - Callback to delete a movie from watched list
  */
-function WatchedMovieList({ watched, onDeleteWatched }) {
+function WatchedMovieList({ watched, onSelectMovie, onDeleteWatched }) {
   return (
     <ul className="list">
       {watched.map((movie) => (
         <WatchedMovie
           movie={movie}
           key={movie.imdbID}
+          onSelectMovie={onSelectMovie}
           onDeleteWatched={onDeleteWatched}
         />
       ))}
@@ -415,13 +2008,14 @@ function WatchedMovieList({ watched, onDeleteWatched }) {
  * Individual Watched Movie Component
  * 
  * Displays a single movie in the watched list
- * Shows poster, title, ratings, runtime, and delete button
+ * Shows poster, title, ratings, runtime, note indicator, edit and delete buttons
  * 
  * @param {Object} props - Component props
  * @param {Object} props.movie - Watched movie object
+ * @param {Function} props.onSelectMovie - Callback to open this movie for editing
  * @param {Function} props.onDeleteWatched - Callback to delete this movie
  */
-function WatchedMovie({ movie, onDeleteWatched }) {
+function WatchedMovie({ movie, onSelectMovie, onDeleteWatched }) {
   return (
     <li>
       <img src={movie.poster} alt={`${movie.title} poster`} />
@@ -437,8 +2031,27 @@ function WatchedMovie({ movie, onDeleteWatched }) {
         </p>
         <p>
           <span>⏳</span>
-          <span>{movie.runtime} min</span>
+          {/* OMDb gives series the runtime of one episode */}
+          <span>
+            {movie.runtime} min
+            {getEntryType(movie) === "series" && " / episode"}
+          </span>
         </p>
+        {/* Show the note on hover if the user wrote one */}
+        {movie.note && (
+          <p title={movie.note}>
+            <span>📝</span>
+          </p>
+        )}
+
+        {/* Edit button opens the movie details to change rating/note */}
+        <button
+          className="btn-edit"
+          aria-label={`Edit rating of ${movie.title}`}
+          onClick={() => onSelectMovie(movie.imdbID)}
+        >
+          ✎
+        </button>
 
         {/* Delete button to remove movie from watched list */}
         <button
@@ -463,20 +2076,104 @@ function Loader() {
   return <p className="loader">Loading...</p>;
 }
 
+/**
+ * Toast Component
+ * 
+ * Small message at the bottom of the screen, with an optional action button
+ * (used to undo or redo changes to the watched list)
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.message - Message to display
+ * @param {string} props.actionLabel - Label of the action button
+ * @param {Function} props.onAction - Callback of the action button
+ * @param {Function} props.onClose - Callback to hide the toast
+ */
+function Toast({ message, actionLabel, onAction, onClose }) {
+  return (
+    // role="status" makes screen readers announce the message
+    <div className="toast" role="status">
+      <p>{message}</p>
+      {onAction && (
+        <button className="btn-toast" onClick={onAction}>
+          {actionLabel}
+        </button>
+      )}
+      <button className="btn-toast-close" onClick={onClose} aria-label="Close">
+        &times;
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Shortcut Help Component
+ * 
+ * Overlay listing every keyboard shortcut currently available
+ * The list comes from the shortcut registry, so it only shows shortcuts
+ * that work in the current view (e.g. j/k only when results are shown)
+ * 
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Callback to close the overlay
+ */
+function ShortcutHelp({ onClose }) {
+  const shortcuts = useShortcuts();
+
+  // Escape closes the overlay (registered last, so it wins over
+  // the Escape shortcut of the movie details)
+  useKey("Escape", onClose, { allowInInputs: true });
+
+  return (
+    <div className="overlay" onClick={onClose}>
+      {/* Clicks inside the dialog shouldn't close it */}
+      <div
+        className="help"
+        role="dialog"
+        aria-label="Keyboard shortcuts"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2>Keyboard shortcuts</h2>
+        <dl>
+          {shortcuts.map(({ combo, description }) => (
+            <div key={combo}>
+              <dt>
+                <kbd>{formatCombo(combo)}</kbd>
+              </dt>
+              <dd>{description}</dd>
+            </div>
+          ))}
+        </dl>
+        <button className="btn-transfer" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
 /**
  * Error Message Component
  * 
  * Displays error messages when API calls fail
+ * Optionally shows a Retry button
  * 
  * @param {Object} props - Component props
  * @param {string} props.message - Error message to display
+ * @param {Function} props.onRetry - Optional callback to try the request again
  */
-function ErrorMessage({ message }) {
+function ErrorMessage({ message, onRetry }) {
   return (
-    <p className="error">
-      <span>🔥</span>
-      {message}
-    </p>
+    <div className="error">
+      <p>
+        <span>🔥</span>
+        {message}
+      </p>
+      {/* Only show the Retry button if the caller can retry */}
+      {onRetry && (
+        <button className="btn-retry" onClick={onRetry}>
+          Retry
+        </button>
+      )}
+    </div>
   );
 }
 
@@ -485,29 +2182,58 @@ function ErrorMessage({ message }) {
  * 
  * Displays detailed information about a selected movie
  * Features:
- * - Fetches full movie details from OMDb API
+ * - Fetches full movie details from the movie provider
+ * - Shows an error with a Retry button if loading fails
  * - Shows movie poster, plot, cast, director, etc.
+ * - Shows every rating source (IMDb, Rotten Tomatoes, Metacritic), awards,
+ *   box office, writers, languages and countries
+ * - Director, actor and genre names start a new search when clicked
+ * - Series show their episodes by season; episodes can be rated and logged
  * - Allows user to rate the movie
- * - Adds movie to watched list with rating
+ * - Adds movie to watched list with rating and note
+ * - Lets the user change the rating and note of a watched movie
+ * - Logs the date of every watch, including rewatches with their own rating
  * - Updates browser tab title
  * - Supports Escape key to close
  * 
  * @param {Object} props - Component props
  * @param {string} props.selectedId - IMDb ID of the selected movie
  * @param {Array} props.watched - Array of watched movies
+ * @param {boolean} props.isWatchedLoaded - Whether the watched list has loaded
  * @param {Function} props.onCloseMovie - Callback to close movie details
  * @param {Function} props.onAddWatched - Callback to add movie to watched list
+ * @param {Function} props.onUpdateWatched - Callback to update a watched movie
+ * @param {Function} props.onLogWatch - Callback to log a rewatch of a watched movie
+ * @param {Array} props.watchlist - Array of movies on the watchlist
+ * @param {Function} props.onAddToWatchlist - Callback to add movie to the watchlist
+ * @param {Function} props.onRemoveFromWatchlist - Callback to remove movie from the watchlist
+ * @param {Function} props.onSearch - Callback to search for a clicked name
+ * @param {Function} props.onMarkWatched - Callback to add an episode with a rating
  */
-function MovieDetails({ selectedId, watched, onCloseMovie, onAddWatched }) {
-  // State for the full movie details object from API
-  const [movie, setMovie] = useState({});
-
-  // Loading state for movie details fetch
-  const [isLoading, setIsLoading] = useState(false);
+function MovieDetails({
+  selectedId,
+  watched,
+  isWatchedLoaded,
+  watchlist,
+  onCloseMovie,
+  onAddWatched,
+  onUpdateWatched,
+  onLogWatch,
+  onAddToWatchlist,
+  onRemoveFromWatchlist,
+  onSearch,
+  onMarkWatched,
+}) {
+  // Custom hook that loads the full movie details for selectedId
+  // Handles cancellation, retries with backoff, and error state
+  const { movie, isLoading, error, retry } = useMovieDetails(selectedId);
 
   // User's rating for this movie (0-10)
   const [userRating, setUserRating] = useState(0);
 
+  // Date the user watched the movie on (defaults to today)
+  const [watchedOn, setWatchedOn] = useState(getToday);
+
   // useRef to track number of rating changes without causing re-renders
   // Why useRef? Because we don't need to re-render when this changes
   // We just want to track how many times the user changed their rating
@@ -522,46 +2248,84 @@ function MovieDetails({ selectedId, watched, onCloseMovie, onAddWatched }) {
     [userRating]
   );
 
+  // The watched list entry for this movie (undefined if not watched yet)
+  const watchedMovie = watched.find((movie) => movie.imdbID === selectedId);
+
   // Check if this movie is already in the watched list
-  const isWatched = watched.map((movie) => movie.imdbID).includes(selectedId);
+  const isWatched = Boolean(watchedMovie);
 
-  // Get the user's previous rating if movie was already watched
-  const watchedUserRating = watched.find(
-    (movie) => movie.imdbID === selectedId
-  )?.userRating;
+  // Check if this movie is on the watchlist
+  const isOnWatchlist = watchlist.some((movie) => movie.imdbID === selectedId);
+
+  // Get the user's previous rating and note if movie was already watched
+  const watchedUserRating = watchedMovie?.userRating;
+  const watchedNote = watchedMovie?.note ?? "";
+
+  // User's free-text note/review while editing (null until the user types)
+  // Until then the saved note is shown, so a note that loads after the
+  // details opened (the watched list loads asynchronously) isn't replaced
+  // (MovieDetails is keyed by selectedId, so this resets for every movie)
+  const [editedNote, setNote] = useState(null);
+  const note = editedNote ?? watchedNote;
+
+  // Whether the user changed the rating or note of a watched movie
+  const hasChanges =
+    (userRating > 0 && userRating !== watchedUserRating) ||
+    note.trim() !== watchedNote;
 
   /**
    * Handles adding movie to watched list
    * 
    * Creates a new watched movie object with:
-   * - Movie ID, title, year, poster
-   * - IMDb rating (converted to number)
-   * - User's rating
-   * - Runtime (extracted from string like "120 min")
+   * - Movie info: ID, title, year, poster, genre, runtime... (see toMovieEntry)
+   * - User's rating and note
    * - Count of rating changes (for analytics)
+   * - The first watch, on the chosen date
    */
   function handleAdd() {
     const newWatchedMovie = {
-      imdbID: selectedId,
-      title,
-      year,
-      poster,
-      imdbRating: Number(imdbRating),
+      ...toMovieEntry(movie),
       userRating,
-      // Extract number from runtime string (e.g., "120 min" -> "120")
-      runtime: runtime.split(" ").at(0),
+      note: note.trim(),
       countRatingDecisions: countRef.current,
+      // Every rating the user gives this movie, oldest first
+      ratingHistory: [{ userRating, ratedAt: new Date().toISOString() }],
+      // Diary entries, one per watch (see watchDiary.js)
+      watches: [{ watchedOn: watchedOn || null, userRating }],
     };
 
     onAddWatched(newWatchedMovie);
     onCloseMovie();
   }
 
+  /**
+   * Handles adding movie to the watchlist
+   * 
+   * Stores the same movie info as a watched entry (without rating),
+   * so it can be moved to the watched list later without refetching
+   */
+  function handleAddToWatchlist() {
+    onAddToWatchlist(toMovieEntry(movie));
+  }
+
+  /**
+   * Handles saving a new rating/note for a movie already watched
+   * 
+   * Keeps the previous rating if the user only edited the note
+   */
+  function handleUpdate() {
+    onUpdateWatched(selectedId, {
+      userRating: userRating || watchedUserRating,
+      note: note.trim(),
+      ratingDecisions: countRef.current,
+    });
+    onCloseMovie();
+  }
+
   // Destructure movie object with renaming for cleaner code
   // API returns properties with capital letters, we rename to lowercase
   const {
     Title: title,
-    Year: year,
     Poster: poster,
     Runtime: runtime,
     imdbRating,
@@ -570,39 +2334,9 @@ function MovieDetails({ selectedId, watched, onCloseMovie, onAddWatched }) {
     Director: director,
     Genre: genre,
     Actors: actors,
+    Rated: rated,
   } = movie;
 
-  /**
-   * Effect to fetch movie details from API
-   * 
-   * Runs when selectedId changes
-   * Fetches full movie details using the IMDb ID
-   */
-  useEffect(
-    function () {
-      async function getMovieDetails() {
-        try {
-          setIsLoading(true);
-
-          // Fetch movie details from OMDb API
-          // Using 'i' parameter for IMDb ID lookup
-          const response = await fetch(
-            `http://www.omdbapi.com/?apikey=${key}&i=${selectedId}`
-          );
-
-          const data = await response.json();
-          setMovie(data);
-        } finally {
-          // Always set loading to false, even if there's an error
-          setIsLoading(false);
-        }
-      }
-
-      getMovieDetails();
-    },
-    [selectedId] // Only run when selectedId changes
-  );
-
   /**
    * Effect to update browser tab title
    * 
@@ -626,16 +2360,29 @@ function MovieDetails({ selectedId, watched, onCloseMovie, onAddWatched }) {
   );
 
   // Use custom hook to handle Escape key press
-  // Closes movie details when Escape is pressed
-  useKey("Escape", onCloseMovie);
+  // Closes movie details when Escape is pressed (even while typing a note)
+  useKey("Escape", onCloseMovie, {
+    description: "Close movie details",
+    allowInInputs: true,
+  });
 
   // Render movie details UI
   return (
     <div className="details">
       {/* Show loader while fetching movie details */}
-      {isLoading ? (
-        <Loader />
-      ) : (
+      {isLoading && <Loader />}
+
+      {/* Show error with Retry button if the movie couldn't be loaded */}
+      {!isLoading && error && (
+        <>
+          <button className="btn-back" onClick={onCloseMovie}>
+            &larr;
+          </button>
+          <ErrorMessage message={error} onRetry={retry} />
+        </>
+      )}
+
+      {!isLoading && !error && (
         <>
           {/* Movie header with back button, poster, and overview */}
           <header>
@@ -652,8 +2399,17 @@ function MovieDetails({ selectedId, watched, onCloseMovie, onAddWatched }) {
               <h2>{title}</h2>
               <p>
                 {released} &bull; {runtime}
+                {/* Age rating, e.g. "PG-13" */}
+                {rated && rated !== "N/A" && ` • ${rated}`}
+              </p>
+              {movie.Type === "episode" && (
+                <p>
+                  Season {movie.Season}, episode {movie.Episode}
+                </p>
+              )}
+              <p>
+                <NameLinks names={genre} onSearch={onSearch} />
               </p>
-              <p>{genre}</p>
               <p>
                 <span>⭐ {imdbRating} IMDb Rating</span>
               </p>
@@ -663,40 +2419,470 @@ function MovieDetails({ selectedId, watched, onCloseMovie, onAddWatched }) {
           {/* Movie details section */}
           <section>
             <div className="rating">
-              {/* If movie is not watched, show rating interface */}
-              {!isWatched ? (
+              {/* Wait for the watched list, or a watched movie would look */}
+              {/* unwatched (and could be added twice) until it loads */}
+              {!isWatchedLoaded ? (
+                <Loader />
+              ) : !isWatched ? (
+                /* If movie is not watched, show rating interface */
                 <>
                   {/* Star rating component (1-10 stars) */}
                   <StarRating
                     maxRating={10}
                     size={24}
-                    onSetMovieRating={setUserRating}
+                    precision={0.5}
+                    clearable
+                    label={`Your rating of ${title}`}
+                    value={userRating}
+                    onChange={setUserRating}
                   />
-                  {/* Show "Add to list" button only after user has rated */}
+                  {/* Show note and "Add to list" button only after user has rated */}
                   {userRating > 0 && (
-                    <button className="btn-add" onClick={handleAdd}>
-                      Add to list
+                    <>
+                      <NoteInput note={note} setNote={setNote} />
+                      <WatchedOnInput
+                        watchedOn={watchedOn}
+                        setWatchedOn={setWatchedOn}
+                      />
+                      <button className="btn-add" onClick={handleAdd}>
+                        Add to list
+                      </button>
+                    </>
+                  )}
+                  {/* Save for later instead of rating now */}
+                  {isOnWatchlist ? (
+                    <button
+                      className="btn-add btn-secondary"
+                      onClick={() => onRemoveFromWatchlist(selectedId)}
+                    >
+                      Remove from watchlist
+                    </button>
+                  ) : (
+                    <button
+                      className="btn-add btn-secondary"
+                      onClick={handleAddToWatchlist}
+                    >
+                      + Add to watchlist
                     </button>
                   )}
                 </>
               ) : (
                 /* If movie is already watched, show previous rating */
-                <p>
-                  You rated this movie {watchedUserRating} <span>🌟</span>
-                </p>
+                /* and let the user change it */
+                <>
+                  <p>
+                    You rated this movie {watchedUserRating} <span>🌟</span>
+                  </p>
+                  {/* Shows the stored rating until the user picks a new one */}
+                  {/* Clearing goes back to the stored rating */}
+                  <StarRating
+                    maxRating={10}
+                    size={24}
+                    precision={0.5}
+                    clearable={userRating > 0}
+                    label={`Your rating of ${title}`}
+                    value={userRating || watchedUserRating}
+                    onChange={setUserRating}
+                  />
+                  <NoteInput note={note} setNote={setNote} />
+                  {/* Show "Save changes" button only if something changed */}
+                  {hasChanges && (
+                    <button className="btn-add" onClick={handleUpdate}>
+                      Save changes
+                    </button>
+                  )}
+                  <WatchHistory watches={watchedMovie.watches ?? []} />
+                  <RewatchForm
+                    title={title}
+                    onLogWatch={(watch) => onLogWatch(selectedId, watch)}
+                  />
+                </>
               )}
             </div>
+            {/* Season picker and episode list of a series */}
+            {movie.Type === "series" && (
+              <SeriesEpisodes
+                series={movie}
+                watched={watched}
+                onMarkWatched={onMarkWatched}
+                onLogWatch={onLogWatch}
+              />
+            )}
             {/* Movie plot/summary */}
             <p>
               <em>{plot}</em>
             </p>
             {/* Cast information */}
-            <p>Starring {actors}</p>
+            <p>
+              Starring <NameLinks names={actors} onSearch={onSearch} />
+            </p>
             {/* Director information */}
-            <p>Directed by {director}</p>
+            <p>
+              Directed by <NameLinks names={director} onSearch={onSearch} />
+            </p>
+            {/* Ratings from IMDb, Rotten Tomatoes, Metacritic... */}
+            <RatingSources sources={getRatingSources(movie)} />
+            {/* Writers, awards, box office... */}
+            <MovieFacts movie={movie} />
           </section>
         </>
       )}
     </div>
   );
 }
+
+/**
+ * Series Episodes Component
+ * 
+ * Season picker and the episode list of the chosen season
+ * Each episode can be rated (which adds it to the watched list) or,
+ * once watched, logged again in the diary
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.series - Full series details from the movie provider
+ * @param {Array} props.watched - Array of watched movies
+ * @param {Function} props.onMarkWatched - Callback receiving (entry, rating)
+ * @param {Function} props.onLogWatch - Callback receiving (imdbID, watch)
+ */
+function SeriesEpisodes({ series, watched, onMarkWatched, onLogWatch }) {
+  // Season shown in the list, starting at the first one
+  const [season, setSeason] = useState(1);
+
+  // Custom hook that loads the episodes of the chosen season
+  const { episodes, isLoading, error, retry } = useSeason(
+    series.imdbID,
+    season
+  );
+
+  // OMDb reports the number of seasons as a string (e.g. "5")
+  const totalSeasons = Number(series.totalSeasons) || 1;
+
+  // Watched episodes by IMDb ID, to show their rating
+  const watchedEpisodes = new Map(
+    watched
+      .filter((movie) => getEntryType(movie) === "episode")
+      .map((movie) => [movie.imdbID, movie])
+  );
+
+  return (
+    <div className="episodes">
+      <header className="episodes-header">
+        <h3>Episodes</h3>
+        <select
+          className="watched-control"
+          aria-label="Season"
+          value={season}
+          onChange={(e) => setSeason(Number(e.target.value))}
+        >
+          {Array.from({ length: totalSeasons }, (_, i) => (
+            <option key={i} value={i + 1}>
+              Season {i + 1}
+            </option>
+          ))}
+        </select>
+      </header>
+
+      {isLoading && <Loader />}
+      {!isLoading && error && <ErrorMessage message={error} onRetry={retry} />}
+      {!isLoading && !error && (
+        <ul className="episode-list">
+          {episodes.map((episode) => (
+            <Episode
+              key={episode.imdbID}
+              episode={episode}
+              watchedEpisode={watchedEpisodes.get(episode.imdbID)}
+              onRate={(userRating) =>
+                onMarkWatched(
+                  toEpisodeEntry(series, season, episode),
+                  userRating
+                )
+              }
+              onLogWatch={(watch) => onLogWatch(episode.imdbID, watch)}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Episode Component
+ * 
+ * A single episode in the episode list of a series
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.episode - { Title, Released, Episode, imdbRating }
+ * @param {Object} props.watchedEpisode - Watched list entry (undefined if not watched)
+ * @param {Function} props.onRate - Callback receiving the rating of a new episode
+ * @param {Function} props.onLogWatch - Callback receiving { watchedOn, userRating }
+ */
+function Episode({ episode, watchedEpisode, onRate, onLogWatch }) {
+  // Whether the star rating prompt is shown
+  const [isRating, setIsRating] = useState(false);
+
+  // How many times the user watched this episode
+  const watchCount = watchedEpisode?.watches?.length ?? 0;
+
+  return (
+    <li>
+      <span className="episode-number">{episode.Episode}</span>
+      <div>
+        <h4>{episode.Title}</h4>
+        <p>
+          {episode.Released} &bull; ⭐️ {episode.imdbRating}
+        </p>
+      </div>
+      {watchedEpisode ? (
+        <div className="episode-actions">
+          <p className="badge" title="Your rating">
+            <span>🌟</span>
+            <span>
+              {watchedEpisode.userRating}
+              {watchCount > 1 && ` · ${watchCount}×`}
+            </span>
+          </p>
+          {/* Logs a rewatch today, keeping the current rating */}
+          <button
+            className="btn-mark"
+            onClick={() =>
+              onLogWatch({
+                watchedOn: getToday(),
+                userRating: watchedEpisode.userRating,
+              })
+            }
+          >
+            ↻ Watched again
+          </button>
+        </div>
+      ) : isRating ? (
+        <StarRating
+          maxRating={10}
+          size={14}
+          precision={0.5}
+          label={`Rate ${episode.Title}`}
+          onSetMovieRating={function (rating) {
+            setIsRating(false);
+            onRate(rating);
+          }}
+        />
+      ) : (
+        <button className="btn-mark" onClick={() => setIsRating(true)}>
+          Rate
+        </button>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Name Links Component
+ * 
+ * Shows a comma-separated OMDb field (genres, actors, directors) as names
+ * that start a new search when clicked
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.names - e.g. "Leonardo DiCaprio, Elliot Page"
+ * @param {Function} props.onSearch - Callback receiving the clicked name
+ */
+function NameLinks({ names, onSearch }) {
+  return (
+    <span>
+      {splitNames(names).map((name, i) => (
+        <span key={name}>
+          {i > 0 && ", "}
+          <button
+            className="btn-link"
+            title={`Search for ${name}`}
+            onClick={() => onSearch(name)}
+          >
+            {name}
+          </button>
+        </span>
+      ))}
+    </span>
+  );
+}
+
+/**
+ * Rating Sources Component
+ * 
+ * Shows the ratings of a movie from every source OMDb knows
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.sources - [{ source, value }] (see getRatingSources)
+ */
+function RatingSources({ sources }) {
+  if (!sources.length) return null;
+
+  return (
+    <ul className="rating-sources">
+      {sources.map(({ source, value }) => (
+        <li key={source}>
+          <strong>{value}</strong>
+          <span>{source}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Movie Facts Component
+ * 
+ * Lists the remaining OMDb metadata of a movie
+ * Fields OMDb doesn't know ("N/A") are left out
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.movie - Full movie details from the movie provider
+ */
+function MovieFacts({ movie }) {
+  const facts = [
+    ["Written by", movie.Writer],
+    ["Awards", movie.Awards],
+    ["Box office", movie.BoxOffice],
+    ["Language", movie.Language],
+    ["Country", movie.Country],
+    ["IMDb votes", movie.imdbVotes],
+  ].filter(([, value]) => value && value !== "N/A");
+
+  if (!facts.length) return null;
+
+  return (
+    <dl className="movie-facts">
+      {facts.map(([label, value]) => (
+        <div key={label}>
+          <dt>{label}</dt>
+          <dd>{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
+/**
+ * Watched On Input Component
+ * 
+ * Date picker for the day the user watched a movie
+ * Future dates can't be picked
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.watchedOn - Current date ("YYYY-MM-DD")
+ * @param {Function} props.setWatchedOn - Function to update the date
+ */
+function WatchedOnInput({ watchedOn, setWatchedOn }) {
+  return (
+    <label className="watched-on">
+      Watched on
+      <input
+        type="date"
+        value={watchedOn}
+        max={getToday()}
+        onChange={(e) => setWatchedOn(e.target.value)}
+      />
+    </label>
+  );
+}
+
+/**
+ * Watch History Component
+ * 
+ * Lists every time the user watched a movie, with the rating of each watch
+ * 
+ * @param {Object} props - Component props
+ * @param {Array} props.watches - Watches of the movie, first watch first
+ */
+function WatchHistory({ watches }) {
+  if (!watches.length) return null;
+
+  return (
+    <ul className="watch-history">
+      {watches.map((watch, i) => (
+        <li key={i}>
+          <span>{i === 0 ? "First watch" : "Rewatch"}</span>
+          <span>{watch.watchedOn ?? "Date unknown"}</span>
+          <span>🌟 {watch.userRating}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Rewatch Form Component
+ * 
+ * Logs another watch of a movie that is already on the watched list
+ * The rewatch gets its own date and rating, which becomes the movie's
+ * current rating
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.title - Movie title (for the rating label)
+ * @param {Function} props.onLogWatch - Callback receiving { watchedOn, userRating }
+ */
+function RewatchForm({ title, onLogWatch }) {
+  // Rating and date of the rewatch
+  const [userRating, setUserRating] = useState(0);
+  const [watchedOn, setWatchedOn] = useState(getToday);
+
+  // Whether the form is shown (hidden behind a button until needed)
+  const [isOpen, setIsOpen] = useState(false);
+
+  /**
+   * Logs the rewatch and resets the form
+   */
+  function handleLog() {
+    onLogWatch({ watchedOn: watchedOn || null, userRating });
+    setUserRating(0);
+    setWatchedOn(getToday());
+    setIsOpen(false);
+  }
+
+  if (!isOpen)
+    return (
+      <button className="btn-add btn-secondary" onClick={() => setIsOpen(true)}>
+        ↻ Log a rewatch
+      </button>
+    );
+
+  return (
+    <>
+      <StarRating
+        maxRating={10}
+        size={24}
+        precision={0.5}
+        clearable
+        label={`Your rating of ${title} on this rewatch`}
+        value={userRating}
+        onChange={setUserRating}
+      />
+      <WatchedOnInput watchedOn={watchedOn} setWatchedOn={setWatchedOn} />
+      {userRating > 0 && (
+        <button className="btn-add" onClick={handleLog}>
+          Log rewatch
+        </button>
+      )}
+    </>
+  );
+}
+
+/**
+ * Note Input Component
+ * 
+ * Text area for the user's free-text note/review of a movie
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.note - Current note
+ * @param {Function} props.setNote - Function to update the note
+ */
+function NoteInput({ note, setNote }) {
+  return (
+    <textarea
+      className="note"
+      placeholder="Add a note or review (optional)"
+      aria-label="Note"
+      rows={3}
+      value={note}
+      onChange={(e) => setNote(e.target.value)}
+    />
+  );
+}
@@ -6,17 +6,26 @@
  * 
  * Features:
  * - Clickable stars for rating
+ * - Half-star and fractional ratings (precision 1, 0.5 or 0.1), picked
+ *   from the pointer position inside a star
  * - Hover effects (shows temporary rating on hover)
  * - Customizable number of stars, color, and size
  * - Optional custom messages for each rating level
  * - Callback function to notify parent component of rating changes
- * - Accessible (uses role="button" for screen readers)
+ * - Accessible: works as a radiogroup (arrow keys, Home/End, focus ring),
+ *   with labels like "Rate 7 out of 10" and the chosen message announced
+ *   to screen readers
+ * - Read-only mode to display a value (e.g. an average rating)
+ * - Optional clear button to remove the rating
+ * - Controlled (value + onChange) or uncontrolled (defaultRating) use
+ * - Works in native forms (name), can be disabled
+ * - Custom icons (renderIcon) instead of the built-in star
  * 
  * @component
  * @description Interactive star rating component with hover effects
  */
 
-import { useState } from "react";
+import { useState, useRef } from "react";
 
 // Inline styles for the container
 // Using inline styles for component-specific styling
@@ -31,6 +40,98 @@ const starContainerStyle = {
   display: "flex", // Display stars in a row
 };
 
+// Inline styles for the clear button
+const clearButtonStyle = {
+  border: "none",
+  background: "none",
+  color: "inherit",
+  opacity: 0.6,
+  cursor: "pointer",
+};
+
+// Hides an element visually but keeps it readable by screen readers
+// Used for the live region that announces the chosen rating
+const visuallyHiddenStyle = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+};
+
+/**
+ * Rounds a rating to the nearest multiple of the precision
+ *
+ * Rounding through toFixed avoids floating point noise like 7.300000000000001
+ *
+ * @param {number} value - Rating to round
+ * @param {number} precision - Step between ratings (1, 0.5, 0.1...)
+ * @returns {number} Rounded rating
+ */
+function roundToPrecision(value, precision) {
+  const decimals = String(precision).split(".")[1]?.length ?? 0;
+  return Number((Math.round(value / precision) * precision).toFixed(decimals));
+}
+
+/**
+ * Draws the built-in star icon (default for the renderIcon prop)
+ *
+ * @param {Object} options - What to draw
+ * @param {boolean} options.filled - Solid star (true) or outline (false)
+ * @param {string} options.color - Color of the star
+ * @param {number} options.size - Size of the star in pixels
+ * @returns {JSX.Element} Star SVG
+ */
+function renderStarIcon({ filled, color, size }) {
+  // The SVG keeps the full star size, even inside the cut fill element
+  const svgStyle = {
+    width: `${size}px`,
+    height: `${size}px`,
+    display: "block",
+  };
+
+  return filled ? (
+    // Filled star SVG (solid fill)
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      viewBox="0 0 20 20"
+      fill={color}
+      stroke={color}
+      style={svgStyle}
+    >
+      <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+    </svg>
+  ) : (
+    // Empty star SVG (outline only)
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      stroke={color}
+      style={svgStyle}
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        strokeWidth="{2}"
+        d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z"
+      />
+    </svg>
+  );
+}
+
+/**
+ * Gets how far the pointer is across an element, from 0 (left) to 1 (right)
+ *
+ * @param {MouseEvent} e - Mouse event on the element
+ * @returns {number} Fraction of the element's width
+ */
+function getPointerFraction(e) {
+  const { left, width } = e.currentTarget.getBoundingClientRect();
+  return Math.min(Math.max((e.clientX - left) / width, 0), 1);
+}
+
 /**
  * StarRating Component
  * 
@@ -39,25 +140,77 @@ const starContainerStyle = {
  * How it works:
  * 1. Renders a specified number of stars (default: 5)
  * 2. User can click a star to set a rating
+ *    (with precision < 1, where you click inside the star matters:
+ *    the left half of the 8th star is 7.5 with precision 0.5)
  * 3. Hovering over stars shows a temporary rating (preview)
  * 4. Moving mouse away resets to the actual rating
  * 5. Can display custom messages or numeric rating
  * 
+ * Keyboard support (WAI-ARIA radiogroup pattern):
+ * - Tab focuses the selected star (or the first one)
+ * - Arrow Right/Up and Arrow Left/Down change the rating by one step
+ *   (the precision)
+ * - Home and End pick the lowest and highest rating
+ * - Enter or Space picks the focused star
+ * - Delete or Backspace clears the rating (if clearable)
+ * 
+ * Controlled vs uncontrolled:
+ * - Pass `value` (and `onChange`) to let the parent own the rating; the
+ *   parent can then set or reset it at any time
+ * - Or pass `defaultRating` and let the component keep its own state
+ *   (the parent is notified through onChange / onSetMovieRating)
+ * 
+ * Read-only and disabled:
+ * - readOnly only displays the rating, e.g. an average that changes
+ *   (the exact value is drawn: 7.33 fills a third of the 8th star)
+ * - disabled shows the stars dimmed, and they can't be focused or changed
+ * 
+ * Forms:
+ * - With `name`, a hidden input holds the rating so it is submitted with
+ *   the surrounding <form> (not when disabled, like native inputs)
+ * 
  * @param {Object} props - Component props
  * @param {number} props.maxRating - Maximum number of stars (default: 5)
  * @param {string} props.color - Color of the stars (default: "#fcc419" - gold)
  * @param {number} props.size - Size of stars in pixels (default: 24)
  * @param {string} props.className - Additional CSS classes
  * @param {string[]} props.messages - Optional array of messages for each rating level
- * @param {number} props.defaultRating - Initial rating value (default: 3)
- * @param {Function} props.onSetMovieRating - Callback function called when rating changes
+ * @param {number} props.value - Rating, for controlled use (0 = no rating)
+ * @param {number} props.defaultRating - Initial rating for uncontrolled use (default: 0)
+ * @param {number} props.precision - Step between ratings: 1, 0.5 or 0.1 (default: 1)
+ * @param {boolean} props.readOnly - Only display the rating (default: false)
+ * @param {boolean} props.disabled - Dim the stars and ignore input (default: false)
+ * @param {boolean} props.clearable - Show a button to clear the rating (default: false)
+ * @param {string} props.name - Form field name (submits the rating with a form)
+ * @param {string} props.label - Accessible name of the group (default: "Rating")
+ * @param {Function} props.renderIcon - Draws one icon: ({ filled, color, size, index })
+ *                                      => JSX (default: the built-in star)
+ * @param {Function} props.onChange - Callback function called when rating changes
+ *                                    (0 when the rating is cleared)
+ * @param {Function} props.onSetMovieRating - Same as onChange (older name)
  * 
  * @example
  * <StarRating
  *   maxRating={10}
  *   size={24}
+ *   precision={0.5}
  *   onSetMovieRating={(rating) => console.log(rating)}
  * />
+ * 
+ * @example
+ * // Controlled: the parent can reset the rating with setRating(0)
+ * <StarRating maxRating={10} value={rating} onChange={setRating} />
+ * 
+ * @example
+ * // Average rating, not clickable
+ * <StarRating maxRating={10} size={16} value={7.33} readOnly />
+ * 
+ * @example
+ * // Hearts instead of stars, submitted as "score" in a form
+ * <StarRating
+ *   name="score"
+ *   renderIcon={({ filled }) => <span>{filled ? "♥" : "♡"}</span>}
+ * />
  */
 function StarRating({
   maxRating = 5,
@@ -65,31 +218,129 @@ function StarRating({
   size = 24,
   className = "",
   messages = [],
-  defaultRating = 3,
+  value,
+  defaultRating = 0,
+  precision = 1,
+  readOnly = false,
+  disabled = false,
+  clearable = false,
+  name,
+  label = "Rating",
+  renderIcon = renderStarIcon,
+  onChange,
   onSetMovieRating,
 }) {
   // State for the current rating (the actual selected rating)
-  const [rating, setRating] = useState(defaultRating);
+  // Only used when the component is uncontrolled (no value prop)
+  const [selectedRating, setRating] = useState(defaultRating);
   
   // State for temporary rating (shown on hover)
   // When user hovers over stars, this shows what rating they're about to select
   // When they move mouse away, it resets to 0 and shows the actual rating
   const [tempRating, setTempRating] = useState(0);
 
+  // Text read out by screen readers after a rating is chosen
+  // Empty until the user picks a rating, so nothing is announced on mount
+  const [announcement, setAnnouncement] = useState("");
+
+  // DOM elements of the stars, used to move focus with the arrow keys
+  const starElements = useRef([]);
+
+  // Controlled: the parent's value wins over our own state
+  const isControlled = value !== undefined;
+  const rating = isControlled ? value : selectedRating;
+
+  // Rating drawn on the stars: the hovered one, or the actual one
+  const shownRating = tempRating || rating;
+
+  /**
+   * Gets the message for a rating (messages has one entry per star)
+   * 
+   * @param {number} rating - Rating to describe
+   * @returns {string} The matching message, or the number itself
+   */
+  function getMessage(rating) {
+    return messages.length === maxRating
+      ? messages[Math.ceil(rating) - 1] // Array is 0-indexed
+      : rating;
+  }
+
+  /**
+   * Converts a pointer position inside a star to a rating
+   * 
+   * @param {number} index - Index of the star (0-based)
+   * @param {number} fraction - Pointer position inside the star (0 to 1)
+   * @returns {number} Rating rounded up to the precision (at least one step)
+   */
+  function getPointerRating(index, fraction) {
+    const steps = Math.max(Math.ceil(fraction / precision), 1);
+    return roundToPrecision(index + steps * precision, precision);
+  }
+
   /**
    * Handles when a star is clicked
    * 
-   * @param {number} rating - The rating value (1 to maxRating)
+   * @param {number} rating - The rating value (0 to maxRating, 0 clears it)
    * 
-   * Updates both local state and calls the parent callback if provided
+   * Updates local state (when uncontrolled) and calls the parent callbacks
    */
   function handleRating(rating) {
-    setRating(rating);
+    if (!isControlled) setRating(rating);
+    if (!rating) setAnnouncement("Rating cleared");
+    else if (messages.length === maxRating) setAnnouncement(getMessage(rating));
+    else setAnnouncement(`${rating} out of ${maxRating}`);
     // Optional chaining (?.) safely calls the callback only if it exists
     // This allows the component to work with or without a callback
+    onChange?.(rating);
     onSetMovieRating?.(rating);
   }
 
+  /**
+   * Handles keyboard navigation inside the group of stars
+   * 
+   * @param {KeyboardEvent} e - The keyboard event
+   * 
+   * Arrow keys, Home and End select a rating and move focus to its star,
+   * like a group of radio buttons
+   */
+  function handleKeyDown(e) {
+    const current = rating || 0;
+    const nextRating = {
+      ArrowRight: Math.min(current + precision, maxRating),
+      ArrowUp: Math.min(current + precision, maxRating),
+      ArrowLeft: Math.max(current - precision, precision),
+      ArrowDown: Math.max(current - precision, precision),
+      Home: precision,
+      End: maxRating,
+      Delete: clearable ? 0 : undefined,
+      Backspace: clearable ? 0 : undefined,
+    }[e.key];
+
+    if (nextRating === undefined) return;
+
+    // Don't scroll the page, and don't trigger global shortcuts
+    e.preventDefault();
+    e.stopPropagation();
+
+    const rounded = roundToPrecision(nextRating, precision);
+    handleRating(rounded);
+    starElements.current[Math.max(Math.ceil(rounded), 1) - 1]?.focus();
+  }
+
+  // Only one star is reachable with Tab (roving tabindex):
+  // the selected one, or the first one if there is no rating yet
+  const focusableStar = rating ? Math.ceil(rating) : 1;
+
+  // The checked star stands for the exact rating, e.g. the 8th star of a
+  // 7.5 is announced as "Rate 7.5 out of 10", not "Rate 8 out of 10"
+  const starValue = (star) =>
+    star === Math.ceil(rating) ? roundToPrecision(rating, precision) : star;
+
+  // Hidden input that submits the rating with a surrounding form
+  const formInput = name && (
+    <input type="hidden" name={name} value={rating || ""} disabled={disabled} />
+  );
+
   // Dynamic style for the rating text
   // Font size is calculated based on star size for proportional scaling
   const textStyle = {
@@ -99,23 +350,72 @@ function StarRating({
     fontSize: `${size - 8}px`, // Slightly smaller than stars
   };
 
+  // Read-only ratings are a picture of the value, not a set of radio buttons
+  if (readOnly)
+    return (
+      <div style={containerStyle} className={className}>
+        <div
+          style={starContainerStyle}
+          role="img"
+          aria-label={`${label}: ${roundToPrecision(
+            rating,
+            precision
+          )} out of ${maxRating}`}
+        >
+          {Array.from({ length: maxRating }, (_, i) => (
+            <Star
+              key={i}
+              // Exact fill, e.g. 0.33 of the 8th star for 7.33
+              fill={Math.min(Math.max(rating - i, 0), 1)}
+              color={color}
+              size={size}
+              renderIcon={(options) => renderIcon({ ...options, index: i })}
+            />
+          ))}
+        </div>
+        <p style={textStyle}>{roundToPrecision(rating, precision) || ""}</p>
+        {formInput}
+      </div>
+    );
+
   return (
-    <div style={containerStyle} className={className}>
+    <div
+      style={disabled ? { ...containerStyle, opacity: 0.5 } : containerStyle}
+      className={className}
+    >
       {/* Container for all the stars */}
-      <div style={starContainerStyle}>
+      {/* role="radiogroup": screen readers treat the stars as one choice */}
+      <div
+        style={starContainerStyle}
+        role="radiogroup"
+        aria-label={label}
+        aria-disabled={disabled || undefined}
+        onKeyDown={disabled ? undefined : handleKeyDown}
+      >
         {/* Create an array of stars based on maxRating */}
         {Array.from({ length: maxRating }, (_, i) => (
           <Star
             key={i}
+            ref={(element) => (starElements.current[i] = element)}
             // If user is hovering, show tempRating; otherwise show actual rating
-            // Check if star at index i+1 should be filled
-            isFull={tempRating ? tempRating >= i + 1 : rating >= i + 1}
+            // How much of star i+1 is filled (0 to 1)
+            fill={Math.min(Math.max(shownRating - i, 0), 1)}
+            isChecked={Math.ceil(rating) === i + 1}
+            isFocusable={!disabled && focusableStar === i + 1}
+            isDisabled={disabled}
+            label={`Rate ${starValue(i + 1)} out of ${maxRating}`}
             color={color}
             size={size}
-            // When star is clicked, set rating to i+1 (stars are 1-indexed)
-            onRating={() => handleRating(i + 1)}
-            // When hovering over a star, set tempRating to i+1
-            onHoverIn={() => setTempRating(i + 1)}
+            renderIcon={(options) => renderIcon({ ...options, index: i })}
+            // When star is clicked, set the rating from the click position
+            // (always i+1 with precision 1; stars are 1-indexed)
+            onRating={(fraction) =>
+              handleRating(getPointerRating(i, fraction))
+            }
+            // When the pointer moves over a star, preview that rating
+            onHoverIn={(fraction) =>
+              setTempRating(getPointerRating(i, fraction))
+            }
             // When mouse leaves, reset tempRating to 0
             onHoverOut={() => setTempRating(0)}
           />
@@ -126,10 +426,26 @@ function StarRating({
       <p style={textStyle}>
         {/* If custom messages are provided and match maxRating, show message */}
         {/* Otherwise, show the numeric rating */}
-        {messages.length === maxRating
-          ? messages[tempRating ? tempRating - 1 : rating - 1] // Array is 0-indexed
-          : tempRating || rating || ""} {/* Show tempRating if hovering, otherwise rating */}
+        {shownRating ? getMessage(shownRating) : ""}
       </p>
+
+      {/* Clear button, only when there is something to clear */}
+      {clearable && !disabled && rating > 0 && (
+        <button
+          style={clearButtonStyle}
+          aria-label="Clear rating"
+          onClick={() => handleRating(0)}
+        >
+          &times;
+        </button>
+      )}
+
+      {/* Live region: screen readers announce the chosen rating */}
+      <span style={visuallyHiddenStyle} aria-live="polite">
+        {announcement}
+      </span>
+
+      {formInput}
     </div>
   );
 }
@@ -140,64 +456,136 @@ function StarRating({
  * Individual star element that can be clicked or hovered over.
  * 
  * Features:
- * - Filled star (when selected/hovered) or empty star (when not selected)
+ * - Filled, empty or partly filled star (for half and fractional ratings)
  * - Click handler to set rating
  * - Hover handlers to show preview rating
- * - Accessible (role="button" for screen readers)
+ * - Accessible: a radio button that can be focused and picked with
+ *   Enter or Space, with a visible focus ring for keyboard users
+ * - Without onRating, the star is only a picture (read-only mode)
+ * 
+ * Partial fill:
+ * - The empty icon is drawn first
+ * - The filled icon is drawn on top, cut to `fill` of its width
  * 
  * @param {Object} props - Component props
- * @param {boolean} props.isFull - Whether the star should be filled or empty
+ * @param {Object} props.ref - Ref to the star element (to move focus)
+ * @param {number} props.fill - How much of the star is filled (0 to 1)
+ * @param {boolean} props.isChecked - Whether this star is the selected rating
+ * @param {boolean} props.isFocusable - Whether the star is reachable with Tab
+ * @param {boolean} props.isDisabled - Whether the star ignores input
+ * @param {string} props.label - Accessible label (e.g. "Rate 7 out of 10")
  * @param {string} props.color - Color of the star
  * @param {number} props.size - Size of the star in pixels
+ * @param {Function} props.renderIcon - Draws the icon: ({ filled, color, size }) => JSX
  * @param {Function} props.onRating - Callback when star is clicked
- * @param {Function} props.onHoverIn - Callback when mouse enters star
+ *                                    (receives the pointer position, 0 to 1)
+ * @param {Function} props.onHoverIn - Callback when the pointer moves over the star
+ *                                     (receives the pointer position, 0 to 1)
  * @param {Function} props.onHoverOut - Callback when mouse leaves star
  */
-function Star({ isFull, color, size, onRating, onHoverIn, onHoverOut }) {
+function Star({
+  ref,
+  fill,
+  isChecked,
+  isFocusable,
+  isDisabled,
+  label,
+  color,
+  size,
+  renderIcon,
+  onRating,
+  onHoverIn,
+  onHoverOut,
+}) {
+  // Whether the star has keyboard focus (shows a focus ring)
+  // Mouse clicks also focus the star, but only keyboard focus is shown
+  const [isFocusVisible, setIsFocusVisible] = useState(false);
+
   // Inline styles for the star container
   const starStyle = {
+    position: "relative", // The filled star is positioned on top
     width: `${size}px`,
     height: `${size}px`,
     display: "block",
-    cursor: "pointer", // Show pointer cursor on hover
+    // Show pointer cursor on hover (only if the star can be clicked)
+    cursor: !onRating ? "default" : isDisabled ? "not-allowed" : "pointer",
+    borderRadius: "4px",
+    outline: isFocusVisible ? `2px solid ${color}` : "none",
+    outlineOffset: "2px",
+  };
+
+  // Inline styles for the filled part, cut to the fill fraction
+  const fillStyle = {
+    position: "absolute",
+    top: 0,
+    left: 0,
+    width: `${fill * 100}%`,
+    height: "100%",
+    overflow: "hidden",
   };
+
+  /**
+   * Picks this star with Enter or Space, like a native radio button
+   * 
+   * @param {KeyboardEvent} e - The keyboard event
+   */
+  function handleKeyDown(e) {
+    if (e.key !== "Enter" && e.key !== " ") return;
+
+    // Don't scroll the page, and don't trigger global shortcuts
+    e.preventDefault();
+    e.stopPropagation();
+    // The whole star, like a click on its right edge
+    onRating(1);
+  }
+
+  const icons = (
+    <>
+      {/* Empty icon, always drawn */}
+      {renderIcon({ filled: false, color, size })}
+
+      {/* Filled icon, cut to the filled part */}
+      {fill > 0 && (
+        <span style={fillStyle}>
+          {renderIcon({ filled: true, color, size })}
+        </span>
+      )}
+    </>
+  );
+
+  // Read-only star: just the picture
+  if (!onRating) return <span style={starStyle}>{icons}</span>;
+
+  // Disabled star: still a radio for screen readers, but without handlers
+  if (isDisabled)
+    return (
+      <span
+        style={starStyle}
+        role="radio"
+        aria-checked={isChecked}
+        aria-label={label}
+        aria-disabled="true"
+      >
+        {icons}
+      </span>
+    );
   
   return (
     <span
+      ref={ref}
       style={starStyle}
-      role="button" // Accessibility: indicate this is a clickable element
-      aria-label={isFull ? "Filled star" : "Empty star"} // Accessibility: describe the star
-      onClick={onRating}
-      onMouseEnter={onHoverIn}
+      role="radio" // Accessibility: one option of the radiogroup
+      aria-checked={isChecked}
+      aria-label={label} // Accessibility: describe the value, not the look
+      tabIndex={isFocusable ? 0 : -1}
+      onClick={(e) => onRating(getPointerFraction(e))}
+      onKeyDown={handleKeyDown}
+      onFocus={(e) => setIsFocusVisible(e.target.matches(":focus-visible"))}
+      onBlur={() => setIsFocusVisible(false)}
+      onMouseMove={(e) => onHoverIn(getPointerFraction(e))}
       onMouseLeave={onHoverOut}
     >
-      {/* Render filled star if isFull is true, otherwise render empty star */}
-      {isFull ? (
-        // Filled star SVG (solid fill)
-        <svg
-          xmlns="http://www.w3.org/2000/svg"
-          viewBox="0 0 20 20"
-          fill={color}
-          stroke={color}
-        >
-          <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-        </svg>
-      ) : (
-        // Empty star SVG (outline only)
-        <svg
-          xmlns="http://www.w3.org/2000/svg"
-          fill="none"
-          viewBox="0 0 24 24"
-          stroke={color}
-        >
-          <path
-            strokeLinecap="round"
-            strokeLinejoin="round"
-            strokeWidth="{2}"
-            d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z"
-          />
-        </svg>
-      )}
+      {icons}
     </span>
   );
 }
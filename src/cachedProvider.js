@@ -0,0 +1,264 @@
+/**
+ * cachedProvider - Caching Wrapper for Movie Providers
+ *
+ * This module wraps any movie provider (see movieProvider.js) with a response
+ * cache and in-flight request deduplication. Search results and movie details
+ * share the same cache, so reopening a movie or retyping a query we've just
+ * seen doesn't hit the network again.
+ *
+ * Features:
+ * - In-memory cache, backed by sessionStorage so it survives page refreshes
+ * - Time-to-live (TTL) for every cached entry
+ * - In-flight deduplication: identical concurrent requests share one fetch
+ * - Per-caller cancellation through AbortController signals
+ * - Type-ahead suggestions from cached movies (suggest), without a request
+ *
+ * @example
+ * const provider = createCachedProvider(createOmdbProvider({ apiKey }), {
+ *   ttl: 10 * 60 * 1000,
+ * });
+ */
+
+// Prefix for every cache entry stored in sessionStorage
+const STORAGE_PREFIX = "usepopcorn:cache:";
+
+// Default time-to-live for cached responses (10 minutes)
+const DEFAULT_TTL = 10 * 60 * 1000;
+
+// Default number of movies returned by suggest()
+const DEFAULT_SUGGESTIONS = 5;
+
+/**
+ * Makes a shared promise cancellable for a single caller
+ *
+ * The underlying request is shared between callers, so we can't abort it
+ * when one of them goes away. Instead, each caller gets its own promise
+ * that rejects with an AbortError as soon as its signal is aborted.
+ *
+ * @param {Promise} promise - Shared promise
+ * @param {AbortSignal} signal - Optional abort signal of the caller
+ * @returns {Promise} Promise that settles like `promise` unless aborted first
+ */
+function withAbort(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise(function (resolve, reject) {
+    const abortError = () => new DOMException("Aborted", "AbortError");
+
+    if (signal.aborted) return reject(abortError());
+
+    function handleAbort() {
+      reject(abortError());
+    }
+    signal.addEventListener("abort", handleAbort, { once: true });
+
+    promise.then(resolve, reject).finally(function () {
+      signal.removeEventListener("abort", handleAbort);
+    });
+  });
+}
+
+/**
+ * Wraps a movie provider with caching and in-flight deduplication
+ *
+ * @param {Object} provider - Movie provider to wrap
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - Time-to-live of cached entries in ms (default: 10 minutes)
+ * @param {Storage} options.storage - Persistent storage (default: sessionStorage, null to disable)
+ * @returns {Object} Provider with the same API as the wrapped one
+ */
+export function createCachedProvider(
+  provider,
+  { ttl = DEFAULT_TTL, storage = window.sessionStorage } = {}
+) {
+  // In-memory cache: key -> { value, expiresAt }
+  const memory = new Map();
+
+  // Requests currently in flight: key -> Promise
+  const inFlight = new Map();
+
+  /**
+   * Reads a fresh cache entry from memory or storage
+   *
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} { value } if cached and not expired
+   */
+  function read(key) {
+    let entry = memory.get(key);
+
+    // Fall back to sessionStorage (e.g. after a page refresh)
+    if (!entry && storage) {
+      try {
+        const stored = storage.getItem(STORAGE_PREFIX + key);
+        if (stored) entry = JSON.parse(stored);
+      } catch {
+        // Corrupt or inaccessible storage is treated as a cache miss
+      }
+    }
+
+    if (!entry) return undefined;
+
+    // Drop expired entries so they get fetched again
+    if (entry.expiresAt <= Date.now()) {
+      memory.delete(key);
+      storage?.removeItem(STORAGE_PREFIX + key);
+      return undefined;
+    }
+
+    memory.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Stores a value in memory and storage
+   *
+   * @param {string} key - Cache key
+   * @param {any} value - JSON-serializable value
+   */
+  function write(key, value) {
+    const entry = { value, expiresAt: Date.now() + ttl };
+    memory.set(key, entry);
+
+    try {
+      storage?.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+    } catch {
+      // Storage full or unavailable: the in-memory cache still works
+    }
+  }
+
+  /**
+   * Lists the keys of every cached entry, in memory or in storage
+   *
+   * @returns {string[]} Cache keys (entries may have expired)
+   */
+  function keys() {
+    const all = new Set(memory.keys());
+
+    try {
+      for (let i = 0; i < (storage?.length ?? 0); i++) {
+        const key = storage.key(i);
+        if (key?.startsWith(STORAGE_PREFIX))
+          all.add(key.slice(STORAGE_PREFIX.length));
+      }
+    } catch {
+      // Inaccessible storage: only the in-memory cache is searched
+    }
+
+    return [...all];
+  }
+
+  /**
+   * Returns a cached value, or fetches it once for all concurrent callers
+   *
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Function that performs the actual request
+   * @param {AbortSignal} signal - Optional abort signal of the caller
+   * @returns {Promise<any>} The cached or fetched value
+   */
+  function cached(key, fetcher, signal) {
+    const entry = read(key);
+    if (entry) return withAbort(Promise.resolve(entry.value), signal);
+
+    // Reuse the request that is already running for this key
+    let promise = inFlight.get(key);
+
+    if (!promise) {
+      // The shared request is not tied to any caller's signal, so it
+      // completes (and fills the cache) even if the first caller goes away
+      promise = fetcher()
+        .then(function (value) {
+          write(key, value);
+          return value;
+        })
+        .finally(function () {
+          inFlight.delete(key);
+        });
+
+      inFlight.set(key, promise);
+    }
+
+    return withAbort(promise, signal);
+  }
+
+  return {
+    /**
+     * Searches movies, using cached results when available
+     *
+     * @param {string} query - Search query string
+     * @param {Object} options - Same options as the wrapped provider's search()
+     * @returns {Promise<Object>} { movies: Array, totalResults: number }
+     */
+    search(query, { signal, ...options } = {}) {
+      const { page = 1, type = "", year = "" } = options;
+      const key = `search:${query.toLowerCase()}|${type}|${year}|${page}`;
+
+      return cached(key, () => provider.search(query, options), signal);
+    },
+
+    /**
+     * Fetches movie details, using the cached movie when available
+     *
+     * @param {string} id - IMDb ID of the movie
+     * @param {Object} options - Same options as the wrapped provider's getById()
+     * @returns {Promise<Object>} Full movie object
+     */
+    getById(id, { signal, ...options } = {}) {
+      return cached(`movie:${id}`, () => provider.getById(id, options), signal);
+    },
+
+    /**
+     * Fetches the episodes of a season, using the cached season when available
+     *
+     * @param {string} id - IMDb ID of the series
+     * @param {number} season - Season number, starting at 1
+     * @param {Object} options - Same options as the wrapped provider's getSeason()
+     * @returns {Promise<Object>} { Title, Season, totalSeasons, Episodes: Array }
+     */
+    getSeason(id, season, { signal, ...options } = {}) {
+      return cached(
+        `season:${id}|${season}`,
+        () => provider.getSeason(id, season, options),
+        signal
+      );
+    },
+
+    /**
+     * Finds cached movies whose title contains the given text
+     *
+     * Synchronous and never hits the network: only movies from earlier
+     * searches and opened details are considered. Titles starting with the
+     * text come first.
+     *
+     * @param {string} text - Text typed so far (case-insensitive)
+     * @param {Object} options - Optional { limit } (default: 5)
+     * @returns {Array} Movies ({ imdbID, Title, Year, ... }), one per imdbID
+     */
+    suggest(text, { limit = DEFAULT_SUGGESTIONS } = {}) {
+      const search = text.trim().toLowerCase();
+      if (!search) return [];
+
+      const matches = new Map();
+
+      for (const key of keys()) {
+        // Only search results and movie details hold movies
+        // (season listings have no imdbID or Year of their own)
+        let movies;
+        if (key.startsWith("search:")) movies = read(key)?.value.movies;
+        else if (key.startsWith("movie:")) movies = [read(key)?.value];
+        else continue;
+
+        for (const movie of movies ?? []) {
+          if (movie?.imdbID && movie.Title?.toLowerCase().includes(search))
+            matches.set(movie.imdbID, movie);
+        }
+      }
+
+      const startsWith = (movie) =>
+        movie.Title.toLowerCase().startsWith(search);
+
+      return [...matches.values()]
+        .sort((a, b) => startsWith(b) - startsWith(a))
+        .slice(0, limit);
+    },
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * fixtureProvider - Offline Movie Provider Backed by Local JSON Data
+ *
+ * This module implements the movie provider interface (see movieProvider.js)
+ * on top of a static array of OMDb-shaped movie objects. It never touches
+ * the network, which makes it useful for offline development and tests.
+ *
+ * Features:
+ * - Same API and error messages as the OMDb provider
+ * - Case-insensitive title search, paginated like OMDb
+ * - Type and year filters
+ * - Seasons of series, from a separate list of OMDb season responses
+ *   (each tagged with the seriesID it belongs to)
+ * - Respects AbortController signals like a real request would
+ *
+ * @example
+ * const provider = createFixtureProvider(fixtureMovies);
+ * const { movies, totalResults } = await provider.search("dune");
+ */
+
+// Number of search results per page, same as OMDb
+const PAGE_SIZE = 10;
+
+/**
+ * Throws an AbortError if the given signal has already been aborted
+ *
+ * Real fetch() calls reject with an AbortError when cancelled, so we mimic
+ * that here. Hooks rely on the error name to ignore cancelled requests.
+ *
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+}
+
+/**
+ * Picks the fields OMDb includes in a search result
+ *
+ * @param {Object} movie - Full movie object
+ * @returns {Object} Search result with Title, Year, imdbID, Type, Poster
+ */
+function toSearchResult({ Title, Year, imdbID, Type, Poster }) {
+  return { Title, Year, imdbID, Type, Poster };
+}
+
+/**
+ * Builds the details OMDb returns for an episode from the season data
+ *
+ * @param {Object} series - Full series object
+ * @param {Object} season - Season response the episode belongs to
+ * @param {Object} episode - Entry of season.Episodes
+ * @returns {Object} Episode object (Type "episode")
+ */
+function toEpisodeDetails(series, season, episode) {
+  // Episodes share the series' crew and runtime, but not its season count
+  const { totalSeasons, ...details } = series;
+
+  return {
+    ...details,
+    Title: episode.Title,
+    Year: episode.Released.slice(0, 4),
+    Released: episode.Released,
+    imdbRating: episode.imdbRating,
+    imdbID: episode.imdbID,
+    Type: "episode",
+    seriesID: series.imdbID,
+    Season: season.Season,
+    Episode: episode.Episode,
+    Ratings: [],
+  };
+}
+
+/**
+ * Creates a movie provider that serves data from a local array
+ *
+ * @param {Array} movies - Array of full OMDb-shaped movie objects
+ * @param {Array} seasons - OMDb season responses, each with a seriesID
+ * @returns {Object} Provider with search(), getById() and getSeason()
+ */
+export function createFixtureProvider(movies, seasons = []) {
+  return {
+    /**
+     * Searches fixture movies by title, one page at a time
+     *
+     * @param {string} query - Search query string
+     * @param {Object} options - Request options
+     * @param {number} options.page - Page number, starting at 1 (default: 1)
+     * @param {string} options.type - Optional result type ("movie", "series", "episode")
+     * @param {string} options.year - Optional year of release
+     * @param {AbortSignal} options.signal - Optional signal to cancel the request
+     * @returns {Promise<Object>} { movies: Array, totalResults: number }
+     */
+    async search(query, { page = 1, type, year, signal } = {}) {
+      throwIfAborted(signal);
+
+      const needle = query.toLowerCase();
+      const results = movies
+        .filter((movie) => movie.Title.toLowerCase().includes(needle))
+        .filter((movie) => !type || movie.Type === type)
+        // Series years look like "2008–2013", so match on the first year
+        .filter((movie) => !year || movie.Year.startsWith(year))
+        .map(toSearchResult);
+
+      const start = (page - 1) * PAGE_SIZE;
+      const pageResults = results.slice(start, start + PAGE_SIZE);
+
+      // Same behaviour as OMDb: an empty search (or a page past the last one)
+      // is reported as an error
+      if (!pageResults.length) throw new Error("Movie not found");
+
+      return { movies: pageResults, totalResults: results.length };
+    },
+
+    /**
+     * Looks up a fixture movie by IMDb ID
+     *
+     * @param {string} id - IMDb ID of the movie
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Optional signal to cancel the request
+     * @returns {Promise<Object>} Full movie object
+     */
+    async getById(id, { signal } = {}) {
+      throwIfAborted(signal);
+
+      const movie = movies.find((movie) => movie.imdbID === id);
+      if (movie) return movie;
+
+      // Episodes only exist in the season data
+      for (const season of seasons) {
+        const episode = season.Episodes.find(
+          (episode) => episode.imdbID === id
+        );
+        const series = movies.find((movie) => movie.imdbID === season.seriesID);
+        if (episode && series) return toEpisodeDetails(series, season, episode);
+      }
+
+      throw new Error("Movie not found");
+    },
+
+    /**
+     * Looks up one season of a fixture series
+     *
+     * @param {string} id - IMDb ID of the series
+     * @param {number} season - Season number, starting at 1
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Optional signal to cancel the request
+     * @returns {Promise<Object>} { Title, Season, totalSeasons, Episodes: Array }
+     */
+    async getSeason(id, season, { signal } = {}) {
+      throwIfAborted(signal);
+
+      const data = seasons.find(
+        (data) => data.seriesID === id && Number(data.Season) === Number(season)
+      );
+      if (!data) throw new Error("Movie not found");
+
+      return data;
+    },
+  };
+}
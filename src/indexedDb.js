@@ -0,0 +1,141 @@
+/**
+ * indexedDb - Promise-Based Helpers for the App's IndexedDB Database
+ *
+ * IndexedDB has an event-based API; these helpers wrap the few operations
+ * the app needs in promises so they can be used with async/await.
+ *
+ * Database layout ("usepopcorn"):
+ * - records: one entry per list item, { key, collection, id, position, value }
+ *            where key is "collection:id" (e.g. "watched:tt1375666")
+ * - meta:    small flags, { name, value } (e.g. which lists were migrated)
+ *
+ * @example
+ * const records = await getRecords("watched");
+ * await writeRecords("watched", { put: [record], remove: ["tt0087182"] });
+ */
+
+// Name and version of the database
+// Bump the version (and extend handleUpgrade) when adding object stores
+const DB_NAME = "usepopcorn";
+const DB_VERSION = 1;
+
+// Database connection, opened once and shared by every caller
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise
+ *
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<any>} The request's result
+ */
+function promisify(request) {
+  return new Promise(function (resolve, reject) {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wraps a transaction in a promise that resolves once it is committed
+ *
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise(function (resolve, reject) {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Opens the database, creating the object stores on first use
+ *
+ * @returns {Promise<IDBDatabase>} Shared database connection
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = function () {
+      const db = request.result;
+      const records = db.createObjectStore("records", { keyPath: "key" });
+      records.createIndex("collection", "collection");
+      db.createObjectStore("meta", { keyPath: "name" });
+    };
+
+    dbPromise = promisify(request);
+
+    // Allow a later call to try again if opening failed
+    dbPromise.catch(() => (dbPromise = null));
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Reads every record of a collection, in list order
+ *
+ * @param {string} collection - Collection name (e.g. "watched")
+ * @returns {Promise<Array>} Records sorted by position
+ */
+export async function getRecords(collection) {
+  const db = await openDatabase();
+  const store = db.transaction("records").objectStore("records");
+  const records = await promisify(
+    store.index("collection").getAll(collection)
+  );
+
+  return records.sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Writes and deletes records of a collection in a single transaction
+ *
+ * @param {string} collection - Collection name
+ * @param {Object} changes - Changes to apply
+ * @param {Array} changes.put - Records to add or replace: { id, position, value }
+ * @param {string[]} changes.remove - Ids of the records to delete
+ * @returns {Promise<void>} Resolves when the transaction is committed
+ */
+export async function writeRecords(collection, { put = [], remove = [] }) {
+  const db = await openDatabase();
+  const transaction = db.transaction("records", "readwrite");
+  const store = transaction.objectStore("records");
+
+  for (const record of put)
+    store.put({ ...record, collection, key: `${collection}:${record.id}` });
+  for (const id of remove) store.delete(`${collection}:${id}`);
+
+  return transactionDone(transaction);
+}
+
+/**
+ * Reads a meta flag
+ *
+ * @param {string} name - Flag name
+ * @returns {Promise<any>} The stored value, or undefined
+ */
+export async function getMeta(name) {
+  const db = await openDatabase();
+  const store = db.transaction("meta").objectStore("meta");
+  const entry = await promisify(store.get(name));
+
+  return entry?.value;
+}
+
+/**
+ * Stores a meta flag
+ *
+ * @param {string} name - Flag name
+ * @param {any} value - Value to store
+ * @returns {Promise<void>} Resolves when the transaction is committed
+ */
+export async function setMeta(name, value) {
+  const db = await openDatabase();
+  const transaction = db.transaction("meta", "readwrite");
+  transaction.objectStore("meta").put({ name, value });
+
+  return transactionDone(transaction);
+}
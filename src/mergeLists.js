@@ -0,0 +1,96 @@
+/**
+ * mergeLists - Three-Way Merge of Movie Lists
+ *
+ * When the app is open in two tabs, both can change the same list before
+ * they hear about each other's changes. This helper combines the two
+ * versions using the last version both tabs agreed on (the "base"), so
+ * additions and deletions from either side are kept.
+ *
+ * Rules, per imdbID:
+ * - Added on one side only        -> kept
+ * - Deleted on one side only      -> deleted
+ * - Changed on one side only      -> that side's version
+ * - Changed on both sides         -> resolveConflict(local, remote)
+ *
+ * @example
+ * const merged = mergeLists(base, local, remote, {
+ *   resolveConflict: newestUpdate,
+ * });
+ */
+
+/**
+ * Default conflict strategy: last writer wins, per entry
+ *
+ * Entries are stamped with `updatedAt` (ISO date) when they change.
+ * If neither side has a timestamp, the remote entry wins because it was
+ * saved most recently.
+ *
+ * @param {Object} local - Entry as changed in this tab
+ * @param {Object} remote - Entry as changed in the other tab
+ * @returns {Object} The entry to keep
+ */
+export function newestUpdate(local, remote) {
+  return (local.updatedAt ?? "") > (remote.updatedAt ?? "") ? local : remote;
+}
+
+/**
+ * Merges two versions of a list that both started from `base`
+ *
+ * The result follows the order of the remote list, with entries only added
+ * locally appended at the end. This makes merging the same data in both
+ * tabs produce identical lists, so they stop syncing back and forth.
+ *
+ * @param {Array} base - Last version both tabs agreed on
+ * @param {Array} local - Version in this tab
+ * @param {Array} remote - Version just saved by the other tab
+ * @param {Object} options - Merge options
+ * @param {Function} options.getId - Returns the id of an entry (default: imdbID)
+ * @param {Function} options.resolveConflict - Picks an entry when both sides changed it
+ * @returns {Array} Merged list
+ */
+export function mergeLists(
+  base,
+  local,
+  remote,
+  { getId = (entry) => entry.imdbID, resolveConflict = newestUpdate } = {}
+) {
+  // Entries are compared by content, since they come from JSON
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  const baseById = new Map(base.map((entry) => [getId(entry), entry]));
+  const localById = new Map(local.map((entry) => [getId(entry), entry]));
+  const remoteIds = new Set(remote.map(getId));
+
+  const merged = [];
+
+  for (const remoteEntry of remote) {
+    const id = getId(remoteEntry);
+    const baseEntry = baseById.get(id);
+    const localEntry = localById.get(id);
+
+    if (!localEntry) {
+      // Added remotely, or deleted locally (then drop it unless the
+      // other tab changed it in the meantime)
+      if (!baseEntry || !same(baseEntry, remoteEntry)) merged.push(remoteEntry);
+      continue;
+    }
+
+    if (baseEntry && same(baseEntry, localEntry)) merged.push(remoteEntry);
+    else if (baseEntry && same(baseEntry, remoteEntry)) merged.push(localEntry);
+    else if (same(localEntry, remoteEntry)) merged.push(remoteEntry);
+    else merged.push(resolveConflict(localEntry, remoteEntry));
+  }
+
+  for (const localEntry of local) {
+    const id = getId(localEntry);
+    if (remoteIds.has(id)) continue;
+
+    const baseEntry = baseById.get(id);
+
+    // Added locally: keep it
+    // Deleted remotely: drop it, unless this tab changed it since
+    if (!baseEntry || !same(baseEntry, localEntry)) merged.push(localEntry);
+  }
+
+  return merged;
+}
@@ -0,0 +1,69 @@
+/**
+ * movieProvider - Movie Data Provider Selection
+ *
+ * Every component and hook that needs movie data goes through the provider
+ * exported here instead of calling fetch() directly. A provider is a plain
+ * object with three async methods:
+ *
+ * - search(query, { page, type, year, signal })
+ *     -> Promise<{ movies, totalResults }> with one page of search results
+ * - getById(id, { signal })
+ *     -> Promise<Object> with full movie details (also series and episodes)
+ * - getSeason(id, season, { signal })
+ *     -> Promise<{ Title, Season, totalSeasons, Episodes }> for a series
+ *
+ * All methods throw an Error with a user-facing message on failure, and an
+ * AbortError when the request is cancelled through the signal.
+ *
+ * The provider is chosen once at startup:
+ * - REACT_APP_MOVIE_PROVIDER=omdb    -> OMDb API (default)
+ * - REACT_APP_MOVIE_PROVIDER=fixture -> local JSON data, no network
+ * - Tests (NODE_ENV=test) default to the fixture provider, so they run
+ *   offline (see useMovies.test.js)
+ *
+ * The selected provider is wrapped with a cache (see cachedProvider.js), so
+ * repeated searches and reopened movies are served without a new request.
+ * The cache also offers suggest(text), which finds movies already loaded
+ * (used for type-ahead suggestions).
+ *
+ * @example
+ * import { movieProvider } from "./movieProvider";
+ * const movie = await movieProvider.getById("tt1375666");
+ */
+
+import { createOmdbProvider } from "./omdbProvider";
+import { createFixtureProvider } from "./fixtureProvider";
+import { createCachedProvider } from "./cachedProvider";
+import fixtureMovies from "./fixtures/movies.json";
+import fixtureSeasons from "./fixtures/seasons.json";
+
+// OMDb API key for fetching movie data
+// Can be overridden with REACT_APP_OMDB_API_KEY in a .env.local file
+const OMDB_API_KEY = process.env.REACT_APP_OMDB_API_KEY || "99496f8d";
+
+/**
+ * Creates the provider selected by the given name
+ *
+ * @param {string} name - Provider name ("omdb" or "fixture")
+ * @returns {Object} Movie provider
+ */
+export function createMovieProvider(name) {
+  switch (name) {
+    case "fixture":
+      return createFixtureProvider(fixtureMovies, fixtureSeasons);
+    case "omdb":
+      return createOmdbProvider({ apiKey: OMDB_API_KEY });
+    default:
+      throw new Error(`Unknown movie provider "${name}"`);
+  }
+}
+
+// Name of the provider to use, resolved once when the app starts
+const providerName =
+  process.env.REACT_APP_MOVIE_PROVIDER ||
+  (process.env.NODE_ENV === "test" ? "fixture" : "omdb");
+
+// Shared, cached provider instance used by the whole app
+export const movieProvider = createCachedProvider(
+  createMovieProvider(providerName)
+);
@@ -0,0 +1,122 @@
+/**
+ * omdbProvider - Movie Provider Backed by the OMDb API
+ *
+ * This module implements the movie provider interface (see movieProvider.js)
+ * on top of the OMDb HTTP API. It is the only place in the app that knows
+ * how OMDb URLs are built and how OMDb reports errors.
+ *
+ * Features:
+ * - Search movies by title ('s', 'page', 'type' and 'y' parameters)
+ * - Look up full movie details by IMDb ID ('i' parameter)
+ * - List the episodes of a series season ('i' and 'Season' parameters)
+ * - Converts OMDb's { Response: "False" } payloads into thrown errors
+ * - Supports request cancellation through AbortController signals
+ *
+ * @example
+ * const provider = createOmdbProvider({ apiKey: "99496f8d" });
+ * const { movies, totalResults } = await provider.search("inception");
+ */
+
+// Base URL of the OMDb API
+const BASE_URL = "http://www.omdbapi.com/";
+
+/**
+ * Creates a movie provider that talks to the OMDb API
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - OMDb API key
+ * @returns {Object} Provider with search(), getById() and getSeason()
+ */
+export function createOmdbProvider({ apiKey }) {
+  /**
+   * Sends a request to OMDb and returns the parsed JSON payload
+   *
+   * @param {Object} params - Query string parameters (besides the API key)
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.errorMessage - Message used when the HTTP request fails
+   * @returns {Promise<Object>} The OMDb response body
+   */
+  async function request(params, { signal, errorMessage }) {
+    const searchParams = new URLSearchParams({ apikey: apiKey, ...params });
+
+    const response = await fetch(`${BASE_URL}?${searchParams}`, { signal });
+
+    // Check if the HTTP response was successful
+    // The status is kept on the error so callers can tell a server hiccup
+    // (5xx, worth retrying) from a bad request
+    if (!response.ok) {
+      const error = new Error(errorMessage);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+
+    // OMDb returns { Response: "False", Error: "..." } instead of an HTTP error
+    // when nothing matches, so we turn that into a thrown error as well
+    if (data.Response === "False") throw new Error("Movie not found");
+
+    return data;
+  }
+
+  return {
+    /**
+     * Searches movies by title, one page (10 results) at a time
+     *
+     * @param {string} query - Search query string
+     * @param {Object} options - Request options
+     * @param {number} options.page - Page number, starting at 1 (default: 1)
+     * @param {string} options.type - Optional result type ("movie", "series", "episode")
+     * @param {string} options.year - Optional year of release
+     * @param {AbortSignal} options.signal - Optional signal to cancel the request
+     * @returns {Promise<Object>} { movies: Array, totalResults: number }
+     */
+    async search(query, { page = 1, type, year, signal } = {}) {
+      const params = { s: query, page };
+
+      // Only send filters that are set, OMDb rejects empty values
+      if (type) params.type = type;
+      if (year) params.y = year;
+
+      const data = await request(
+        params,
+        { signal, errorMessage: "Something went wrong with fetching movies" }
+      );
+
+      // OMDb reports the total number of matches as a string (e.g. "342")
+      return { movies: data.Search, totalResults: Number(data.totalResults) };
+    },
+
+    /**
+     * Fetches full details for a single movie
+     *
+     * @param {string} id - IMDb ID of the movie
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Optional signal to cancel the request
+     * @returns {Promise<Object>} Full movie object
+     */
+    async getById(id, { signal } = {}) {
+      return request(
+        { i: id },
+        { signal, errorMessage: "Something went wrong with fetching movie details" }
+      );
+    },
+
+    /**
+     * Fetches the episodes of one season of a series
+     *
+     * @param {string} id - IMDb ID of the series
+     * @param {number} season - Season number, starting at 1
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Optional signal to cancel the request
+     * @returns {Promise<Object>} { Title, Season, totalSeasons, Episodes: Array }
+     */
+    async getSeason(id, season, { signal } = {}) {
+      return request(
+        { i: id, Season: season },
+        { signal, errorMessage: "Something went wrong with fetching episodes" }
+      );
+    },
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * retry - Helpers for Retrying Failed Requests
+ *
+ * Network requests can fail for reasons that go away on their own (flaky
+ * connection, server overloaded). These helpers retry such requests with
+ * exponential backoff, while giving up immediately on permanent errors like
+ * "Movie not found".
+ *
+ * @example
+ * const movie = await retryWithBackoff(
+ *   () => movieProvider.getById(id, { signal }),
+ *   { signal }
+ * );
+ */
+
+/**
+ * Checks whether an error is worth retrying
+ *
+ * Transient errors are:
+ * - Network failures (fetch() rejects with a TypeError)
+ * - Server errors (HTTP 5xx) and rate limiting (HTTP 429)
+ *
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} True if the same request may succeed later
+ */
+export function isTransientError(error) {
+  if (error.name === "AbortError") return false;
+  if (error.name === "TypeError") return true;
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Waits for the given time, unless the signal is aborted first
+ *
+ * @param {number} ms - Time to wait in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>} Resolves after `ms`, rejects with AbortError on abort
+ */
+function sleep(ms, signal) {
+  return new Promise(function (resolve, reject) {
+    const abortError = () => new DOMException("Aborted", "AbortError");
+
+    if (signal?.aborted) return reject(abortError());
+
+    function handleAbort() {
+      clearTimeout(timer);
+      reject(abortError());
+    }
+
+    // The listener is removed once the wait is over, so a long-lived
+    // signal doesn't collect one listener per retry
+    const timer = setTimeout(function () {
+      signal?.removeEventListener("abort", handleAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener("abort", handleAbort, { once: true });
+  });
+}
+
+/**
+ * Calls an async function, retrying transient failures with exponential backoff
+ *
+ * The wait doubles after every failed attempt: baseDelay, 2 * baseDelay,
+ * 4 * baseDelay, ... The last error is thrown once all retries are used up.
+ *
+ * @param {Function} fn - Async function to call
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Number of retries after the first attempt (default: 2)
+ * @param {number} options.baseDelay - Wait before the first retry in ms (default: 500)
+ * @param {AbortSignal} options.signal - Optional signal that stops further retries
+ * @param {Function} options.shouldRetry - Decides if an error is retried (default: isTransientError)
+ * @returns {Promise<any>} Result of the first successful call
+ */
+export async function retryWithBackoff(
+  fn,
+  { retries = 2, baseDelay = 500, signal, shouldRetry = isTransientError } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(error))
+        throw error;
+
+      await sleep(baseDelay * 2 ** attempt, signal);
+    }
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * searchHistory - Recent Searches and Search Suggestions
+ *
+ * Helpers behind the dropdown of the search input. Recent searches are a
+ * plain array of queries, most recent first, persisted by the caller
+ * (see recentSearchesSchema). Suggestions combine the recent searches with
+ * movies already in the provider's cache, so typing never triggers an
+ * extra request.
+ *
+ * @example
+ * const searches = addRecentSearch(recentSearches, "batman");
+ * const suggestions = getSearchSuggestions("bat", searches);
+ * // [{ id: "recent:batman", type: "recent", value: "batman", label: "batman" },
+ * //  { id: "title:tt0372784", type: "title", value: "Batman Begins", ... }]
+ */
+
+import { movieProvider } from "./movieProvider";
+
+// How many recent searches are kept
+const MAX_RECENT_SEARCHES = 8;
+
+// How many suggestions the dropdown shows
+const MAX_SUGGESTIONS = 8;
+
+// Queries shorter than this don't search (see useMovies), so aren't kept
+const MIN_QUERY_LENGTH = 3;
+
+/**
+ * Adds a query to the recent searches
+ *
+ * The query moves to the top if it was already there (case-insensitive)
+ *
+ * @param {string[]} searches - Recent searches, most recent first
+ * @param {string} query - Query to add
+ * @returns {string[]} Updated recent searches (unchanged for short queries)
+ */
+export function addRecentSearch(searches, query) {
+  const text = query.trim();
+  if (text.length < MIN_QUERY_LENGTH) return searches;
+
+  return [
+    text,
+    ...searches.filter(
+      (search) => search.toLowerCase() !== text.toLowerCase()
+    ),
+  ].slice(0, MAX_RECENT_SEARCHES);
+}
+
+/**
+ * Builds the suggestions shown under the search input
+ *
+ * - Empty query: every recent search
+ * - Otherwise: recent searches containing the query, then cached movie
+ *   titles containing it (titles equal to the query are left out)
+ *
+ * @param {string} query - Current search query
+ * @param {string[]} recentSearches - Recent searches, most recent first
+ * @returns {Array} [{ id, type: "recent" | "title", value, label }], where
+ *                  value is the query to search when the suggestion is picked
+ */
+export function getSearchSuggestions(query, recentSearches) {
+  const text = query.trim().toLowerCase();
+
+  const recent = recentSearches
+    .filter(
+      (search) =>
+        search.toLowerCase() !== text && search.toLowerCase().includes(text)
+    )
+    .map((search) => ({
+      id: `recent:${search}`,
+      type: "recent",
+      value: search,
+      label: search,
+    }));
+
+  // Titles already offered as a recent search (or typed) aren't repeated
+  const values = new Set([
+    text,
+    ...recent.map(({ value }) => value.toLowerCase()),
+  ]);
+
+  const titles = movieProvider
+    .suggest(text, { limit: MAX_SUGGESTIONS })
+    .filter((movie) => !values.has(movie.Title.toLowerCase()))
+    .map((movie) => ({
+      id: `title:${movie.imdbID}`,
+      type: "title",
+      value: movie.Title,
+      label: `${movie.Title} (${movie.Year})`,
+    }));
+
+  return [...recent, ...titles].slice(0, MAX_SUGGESTIONS);
+}
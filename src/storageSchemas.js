@@ -0,0 +1,124 @@
+/**
+ * storageSchemas - Versions and Migrations of the Data in localStorage
+ *
+ * Every value the app persists with useLocalStorage has a schema here.
+ * When the shape of stored data changes:
+ * 1. Bump the schema's version
+ * 2. Add a migration under the new version number that converts the
+ *    previous shape into the new one
+ * 3. Update validate() if needed
+ *
+ * Lists also define merge(), used when another tab saves the same key:
+ * entries are merged by imdbID, and when both tabs edited the same movie
+ * the most recently updated entry wins (see mergeLists.js).
+ *
+ * Migrations run once when the app loads older data, and the upgraded
+ * value is written back to localStorage.
+ *
+ * The watched list may live in IndexedDB instead (see useIndexedDB.js),
+ * where data saved by older builds has no version: its migrations must
+ * also accept data that is already in the new shape.
+ *
+ * @example
+ * const [watched, setWatched] = useLocalStorage([], "watched", watchedSchema);
+ */
+
+import { SORT_FIELDS, parseRuntime } from "./watchedList";
+import { mergeLists } from "./mergeLists";
+
+/**
+ * Checks that a value is an array of objects with an imdbID
+ *
+ * @param {any} value - Stored value
+ * @returns {boolean} True if it looks like a list of movies
+ */
+function isMovieList(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((movie) => movie && typeof movie.imdbID === "string")
+  );
+}
+
+/**
+ * Version 1: numeric runtime and ratings
+ *
+ * Version 0 stored runtime as a string taken from "148 min".split(" ")
+ * (e.g. "148", or "N/A" for unknown runtimes)
+ *
+ * @param {Array} movies - Version 0 movie list
+ * @returns {Array} Version 1 movie list
+ */
+function migrateNumericFields(movies) {
+  return movies.map((movie) => ({
+    ...movie,
+    runtime: parseRuntime(movie.runtime),
+    imdbRating: Number(movie.imdbRating) || 0,
+  }));
+}
+
+/**
+ * Version 2: watch diary
+ *
+ * Every movie gets a list of watches ({ watchedOn, userRating }).
+ * Movies logged before the diary existed were watched once; the day their
+ * first rating was given is the best guess we have for the date.
+ *
+ * @param {Array} movies - Version 1 movie list
+ * @returns {Array} Version 2 movie list
+ */
+function migrateWatches(movies) {
+  return movies.map(function (movie) {
+    // Already migrated (IndexedDB data saved without a version)
+    if (movie.watches) return movie;
+
+    // ISO timestamp of the first rating -> "YYYY-MM-DD" (null if unknown)
+    const firstRatedAt = movie.ratingHistory?.[0]?.ratedAt;
+
+    return {
+      ...movie,
+      watches: [
+        {
+          watchedOn: firstRatedAt?.slice(0, 10) ?? null,
+          userRating: movie.userRating,
+        },
+      ],
+    };
+  });
+}
+
+// Movies the user has watched (key: "watched")
+export const watchedSchema = {
+  version: 2,
+  migrations: {
+    1: migrateNumericFields,
+    2: migrateWatches,
+  },
+  validate: isMovieList,
+  merge: mergeLists,
+};
+
+// Movies the user wants to watch (key: "watchlist")
+export const watchlistSchema = {
+  version: 1,
+  migrations: {
+    1: migrateNumericFields,
+  },
+  validate: isMovieList,
+  merge: mergeLists,
+};
+
+// Sort order of the watched list (key: "watchedSort")
+export const watchedSortSchema = {
+  version: 0,
+  validate: (sort) =>
+    SORT_FIELDS.some(({ value }) => value === sort?.field) &&
+    ["asc", "desc"].includes(sort?.order),
+};
+
+// Recent search queries, most recent first (key: "recentSearches")
+export const recentSearchesSchema = {
+  version: 0,
+  validate: (searches) =>
+    Array.isArray(searches) &&
+    searches.every((search) => typeof search === "string"),
+};
@@ -0,0 +1,387 @@
+/**
+ * useIndexedDB - Custom React Hook for IndexedDB-Backed Lists
+ *
+ * Drop-in alternative to useLocalStorage for lists that can grow large
+ * (e.g. thousands of watched movies). Same API: [value, setValue].
+ *
+ * Why not localStorage?
+ * - localStorage is limited to a few MB per site
+ * - useLocalStorage has to JSON.stringify the whole list on every change
+ * - IndexedDB has much higher limits, and this hook only writes the
+ *   entries that actually changed (one record per movie)
+ *
+ * Features:
+ * - Loads the list asynchronously on mount (initialState until then)
+ * - Per-record writes: only added, changed and deleted entries are saved
+ * - One-time migration of data saved by useLocalStorage under the same key
+ * - Runs the schema's migrations when the stored records are older than
+ *   schema.version (the version is kept in the "meta" store)
+ * - Picks up changes made in other tabs (BroadcastChannel + schema.merge)
+ * - Falls back to localStorage (same key and format as useLocalStorage)
+ *   when IndexedDB exists but can't be opened, e.g. blocked storage
+ *
+ * @param {Array} initialState - Value used until the stored list is loaded
+ * @param {string} key - Collection name (also the old localStorage key)
+ * @param {Object} schema - Same schema as useLocalStorage (used for the
+ *                          migration, plus merge() and optional getId())
+ * @returns {Array} [value, setValue, isLoaded] - Same API as useState, plus
+ *                   whether the stored list has been loaded
+ *
+ * @example
+ * const [watched, setWatched] = useIndexedDB([], "watched", watchedSchema);
+ */
+
+import { useState, useEffect, useRef } from "react";
+
+import { parseStoredValue, migrateValue } from "./useLocalStorage";
+import { getRecords, writeRecords, getMeta, setMeta } from "./indexedDb";
+
+// Used when no schema is given (keeps effect dependencies stable)
+const NO_SCHEMA = {};
+
+// Default id of a list entry
+const getImdbId = (entry) => entry.imdbID;
+
+// Channel name used to tell other tabs that a collection changed
+const CHANNEL_NAME = "usepopcorn:indexeddb";
+
+/**
+ * Moves a list saved by useLocalStorage into IndexedDB, once
+ *
+ * A meta flag remembers that the collection was migrated, so data is never
+ * copied twice. The localStorage copy is removed afterwards to free space
+ * (or kept under `${key}:corrupt` if it couldn't be read).
+ *
+ * @param {string} key - Collection name / localStorage key
+ * @param {Object} schema - Schema used to read the localStorage data
+ * @param {Function} getId - Returns the id of an entry
+ * @returns {Promise<void>}
+ */
+async function migrateFromLocalStorage(key, schema, getId) {
+  const flag = `migrated:${key}`;
+  if (await getMeta(flag)) return;
+
+  const storedValue = localStorage.getItem(key);
+
+  if (storedValue !== null) {
+    try {
+      const list = parseStoredValue(storedValue, schema);
+      await writeRecords(key, {
+        put: list.map((entry, position) => ({
+          id: getId(entry),
+          position,
+          value: entry,
+        })),
+      });
+    } catch {
+      // Don't lose corrupt data: back it up and start fresh
+      localStorage.setItem(`${key}:corrupt`, storedValue);
+    }
+  }
+
+  // parseStoredValue already upgraded the data to the current version
+  await setMeta(`version:${key}`, schema.version ?? 0);
+  await setMeta(flag, true);
+  localStorage.removeItem(key);
+}
+
+/**
+ * Reads a list saved by useLocalStorage, for when IndexedDB can't be used
+ *
+ * Corrupt data is backed up under `${key}:corrupt`, like useLocalStorage does
+ *
+ * @param {string} key - localStorage key
+ * @param {Object} schema - Schema used to read the data
+ * @returns {Array|null} The stored list, or null if there is none
+ */
+function readLocalStorageList(key, schema) {
+  const storedValue = localStorage.getItem(key);
+  if (storedValue === null) return null;
+
+  try {
+    return parseStoredValue(storedValue, schema);
+  } catch {
+    localStorage.setItem(`${key}:corrupt`, storedValue);
+    return null;
+  }
+}
+
+/**
+ * Upgrades stored records to the current schema version
+ *
+ * Collections stored before versions were tracked in IndexedDB have no
+ * version and count as version 0, so every migration runs on them again.
+ * Migrations of IndexedDB-backed lists must therefore accept data that is
+ * already in the new shape.
+ *
+ * @param {string} key - Collection name
+ * @param {Array} records - Records sorted by position
+ * @param {Object} schema - { version, migrations }
+ * @param {Function} getId - Returns the id of an entry
+ * @returns {Promise<Array>} Records in the current shape
+ */
+async function upgradeRecords(key, records, schema, getId) {
+  const flag = `version:${key}`;
+  const storedVersion = (await getMeta(flag)) ?? 0;
+  const version = schema.version ?? 0;
+
+  if (storedVersion === version) return records;
+
+  const list = migrateValue(
+    records.map((record) => record.value),
+    storedVersion,
+    schema
+  );
+  const upgraded = list.map((entry, position) => ({
+    id: getId(entry),
+    position,
+    value: entry,
+  }));
+
+  await writeRecords(key, {
+    put: upgraded,
+    // Entries a migration dropped or re-keyed
+    remove: records
+      .map((record) => record.id)
+      .filter((id) => !upgraded.some((record) => record.id === id)),
+  });
+  await setMeta(flag, version);
+
+  return upgraded;
+}
+
+/**
+ * Turns stored records into a lookup of what IndexedDB currently holds
+ *
+ * @param {Array} records - Records sorted by position
+ * @returns {Map} id -> { position, value }
+ */
+function toStoredMap(records) {
+  return new Map(
+    records.map(({ id, position, value }) => [id, { position, value }])
+  );
+}
+
+/**
+ * Replaces what a hook knows about the stored records and merges them
+ * into its current value
+ *
+ * Lives outside the hook so the effects that call it only depend on
+ * their arguments (refs and setValue never change)
+ *
+ * @param {Array} records - Records just read from IndexedDB
+ * @param {Array} base - Last list both sides agreed on
+ * @param {Object} hook - { storedRef, nextPositionRef, setValue, merge }
+ */
+function applyStoredRecords(
+  records,
+  base,
+  { storedRef, nextPositionRef, setValue, merge }
+) {
+  storedRef.current = toStoredMap(records);
+  nextPositionRef.current =
+    Math.max(-1, ...records.map((record) => record.position)) + 1;
+
+  const stored = records.map((record) => record.value);
+
+  setValue((local) => (merge ? merge(base, local, stored) : stored));
+}
+
+/**
+ * Custom hook to keep a list in sync with IndexedDB
+ *
+ * How it works:
+ * 1. On mount, migrates old localStorage data (once), then loads the records
+ *    (upgrading them to the current schema version if needed)
+ * 2. Changes made before loading finished are merged into the loaded list
+ * 3. Whenever value changes, writes only the changed records
+ * 4. When another tab writes the same collection, reloads and merges
+ *
+ * @param {Array} initialState - Value used until the stored list is loaded
+ * @param {string} key - Collection name
+ * @param {Object} schema - Optional schema (see useLocalStorage)
+ * @param {Function} schema.getId - Returns the id of an entry (default: imdbID)
+ * @returns {Array} [value, setValue, isLoaded] - Same as useState hook, plus
+ *                   isLoaded (false until the stored list has been read)
+ */
+export function useIndexedDB(initialState, key, schema = NO_SCHEMA) {
+  const [value, setValue] = useState(initialState);
+
+  // Whether the stored list has been loaded
+  // Nothing is written before that, so we never overwrite stored data
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  // Whether IndexedDB failed to open and the list lives in localStorage
+  const [isFallback, setIsFallback] = useState(false);
+
+  // What IndexedDB currently holds (id -> { position, value })
+  // Compared against `value` to find the records that need writing
+  const storedRef = useRef(new Map());
+
+  // Position given to the next new entry (keeps list order in IndexedDB)
+  const nextPositionRef = useRef(0);
+
+  // initialState is only needed once; a ref keeps it out of effect deps
+  const initialStateRef = useRef(initialState);
+
+  // BroadcastChannel used to tell other tabs about our writes
+  // (a channel never receives its own messages, so we don't reload them)
+  const channelRef = useRef(null);
+
+  const getId = schema.getId ?? getImdbId;
+
+  /**
+   * Effect to load the stored list (and migrate old data) on mount
+   */
+  useEffect(
+    function () {
+      // Set when the component unmounts before loading finished
+      let ignore = false;
+
+      async function load() {
+        try {
+          await migrateFromLocalStorage(key, schema, getId);
+          const records = await upgradeRecords(
+            key,
+            await getRecords(key),
+            schema,
+            getId
+          );
+
+          // Anything the user did before loading finished is kept
+          if (!ignore)
+            applyStoredRecords(records, initialStateRef.current, {
+              storedRef,
+              nextPositionRef,
+              setValue,
+              merge: schema.merge,
+            });
+        } catch {
+          // IndexedDB exists but can't be used (e.g. blocked storage, or a
+          // private mode that rejects open()): read the list from
+          // localStorage instead and keep saving it there
+          if (ignore) return;
+
+          const stored = readLocalStorageList(key, schema);
+          setIsFallback(true);
+          if (stored)
+            setValue((local) =>
+              schema.merge
+                ? schema.merge(initialStateRef.current, local, stored)
+                : stored
+            );
+        } finally {
+          if (!ignore) setIsLoaded(true);
+        }
+      }
+
+      load();
+
+      return function () {
+        ignore = true;
+      };
+    },
+    [key, schema, getId]
+  );
+
+  /**
+   * Effect to save changed records whenever value changes
+   *
+   * Only entries that were added, changed or deleted are written,
+   * instead of serializing the whole list like useLocalStorage does.
+   * Unchanged entries are the same objects as the stored ones, so only
+   * entries with a new reference are serialized to check their content.
+   */
+  useEffect(
+    function () {
+      if (!isLoaded) return;
+
+      // Same format as useLocalStorage, so either hook can read it later
+      if (isFallback) {
+        localStorage.setItem(
+          key,
+          JSON.stringify({ version: schema.version ?? 0, value })
+        );
+        return;
+      }
+
+      const stored = storedRef.current;
+      const next = new Map();
+      const put = [];
+
+      for (const entry of value) {
+        const id = getId(entry);
+        const previous = stored.get(id);
+
+        // Existing entries keep their position, new ones go to the end
+        const position = previous?.position ?? nextPositionRef.current++;
+        next.set(id, { position, value: entry });
+
+        const isChanged =
+          previous?.value !== entry &&
+          JSON.stringify(previous?.value) !== JSON.stringify(entry);
+
+        if (isChanged) put.push({ id, position, value: entry });
+      }
+
+      const remove = [...stored.keys()].filter((id) => !next.has(id));
+
+      storedRef.current = next;
+      if (!put.length && !remove.length) return;
+
+      writeRecords(key, { put, remove })
+        // Let other tabs know they should reload this collection
+        .then(() => channelRef.current?.postMessage(key))
+        .catch(function () {
+          // Not saved: unless the list changed again in the meantime,
+          // forget these writes so the next change tries them again
+          if (storedRef.current === next) storedRef.current = stored;
+        });
+    },
+    [value, isLoaded, isFallback, key, schema.version, getId]
+  );
+
+  /**
+   * Effect to pick up changes saved by other tabs
+   */
+  useEffect(
+    function () {
+      // Other tabs aren't followed while falling back to localStorage
+      if (!isLoaded || isFallback) return;
+
+      const channel = new BroadcastChannel(CHANNEL_NAME);
+      channelRef.current = channel;
+
+      channel.onmessage = async function (e) {
+        if (e.data !== key) return;
+
+        // The list as this tab last saw it in IndexedDB
+        const base = [...storedRef.current.values()]
+          .sort((a, b) => a.position - b.position)
+          .map((record) => record.value);
+
+        try {
+          applyStoredRecords(await getRecords(key), base, {
+            storedRef,
+            nextPositionRef,
+            setValue,
+            merge: schema.merge,
+          });
+        } catch {
+          // Couldn't read the other tab's changes: keep ours, they are
+          // merged again with the next message
+        }
+      };
+
+      return function () {
+        channel.close();
+        channelRef.current = null;
+      };
+    },
+    [isLoaded, isFallback, key, schema]
+  );
+
+  // Same API as useState (and useLocalStorage)
+  // isLoaded lets the UI wait for the stored list before offering edits
+  return [value, setValue, isLoaded];
+}
@@ -1,105 +1,247 @@
 /**
- * useKey - Custom React Hook for Keyboard Event Handling
- * 
- * This custom hook provides a clean way to listen for specific keyboard presses
- * and execute actions when those keys are pressed. It handles event listener
- * setup and cleanup automatically.
- * 
+ * useKey - Custom React Hooks for Keyboard Shortcuts
+ *
+ * This module keeps a registry of the keyboard shortcuts used in the app.
+ * Components register shortcuts with useKey(); a single keydown listener
+ * on the document runs the matching one. The registry can also be read
+ * (useShortcuts) to show a list of all shortcuts to the user.
+ *
  * Features:
- * - Listens for specific key presses
- * - Automatically cleans up event listeners
- * - Case-insensitive key matching
- * - Easy to use in any component
- * 
- * Why use this hook?
+ * - Key combos with modifiers: "Escape", "J", "Mod+Z", "Mod+Shift+Z", "?"
+ * - "Mod" means Ctrl, or ⌘ on Mac
+ * - Shortcuts don't fire while the user is typing in a text field
+ *   (unless allowInInputs is set, e.g. for Escape)
+ * - Automatically unregisters shortcuts when components unmount
+ * - The most recently registered matching shortcut wins, so an overlay
+ *   can take over Escape from the view below it
+ *
+ * Why use these hooks?
  * - Manual event listener management is tedious
  * - Easy to forget to clean up listeners (memory leaks)
- * - This hook handles setup and cleanup automatically
- * - Provides a clean, reusable API
- * 
- * @param {string} key - The key code to listen for (e.g., "Enter", "Escape")
- * @param {Function} action - Function to execute when the key is pressed
- * 
+ * - One place decides which shortcut runs, instead of every listener
+ *   reacting to the same key press
+ * - Shortcuts describe themselves, so the help overlay is never out of date
+ *
  * @example
- * // Close movie details when Escape is pressed
- * useKey("Escape", onCloseMovie);
- * 
- * @example
- * // Focus search input when Enter is pressed
- * useKey("Enter", () => {
- *   inputRef.current.focus();
+ * // Close movie details when Escape is pressed (even while typing a note)
+ * useKey("Escape", onCloseMovie, {
+ *   description: "Close movie details",
+ *   allowInInputs: true,
  * });
+ *
+ * @example
+ * // Undo on Ctrl+Z (⌘Z on Mac)
+ * useKey("Mod+Z", undo, { description: "Undo" });
  */
 
-import { useEffect } from "react";
+import { useEffect, useRef, useSyncExternalStore } from "react";
+
+// Registered shortcuts, most recently registered last
+// Replaced (never mutated) on change, so it can be used as a snapshot
+let shortcuts = [];
+
+// Functions to call when the registry changes (useShortcuts subscribers)
+const subscribers = new Set();
+
+// Whether "Mod" should be shown as ⌘ (Mac) or Ctrl
+const isMac = /Mac|iPhone|iPad/.test(navigator.userAgent);
 
 /**
- * Custom hook to listen for keyboard key presses
- * 
- * How it works:
- * 1. Adds a keydown event listener to the document
- * 2. When the specified key is pressed, executes the action function
- * 3. Automatically removes the event listener on unmount or when dependencies change
- * 
+ * Parses a combo string into the key and the modifiers it needs
+ *
+ * @param {string} combo - e.g. "Escape", "J", "Mod+Shift+Z", "?"
+ * @returns {Object} { key, mod, shift, alt }
+ */
+function parseCombo(combo) {
+  const parts = combo.split("+");
+  const key = parts.pop().toLowerCase();
+  const modifiers = parts.map((part) => part.toLowerCase());
+
+  return {
+    key,
+    mod: ["mod", "ctrl", "meta"].some((name) => modifiers.includes(name)),
+    shift: modifiers.includes("shift"),
+    alt: modifiers.includes("alt"),
+  };
+}
+
+/**
+ * Checks whether a key press matches a parsed combo
+ *
  * Key matching:
- * - Uses event.code (e.g., "Enter", "Escape", "KeyA")
- * - Case-insensitive comparison
- * - Matches exact key codes
- * 
- * Cleanup:
- * - Automatically removes event listener to prevent memory leaks
- * - Runs cleanup when component unmounts or dependencies change
- * 
- * @param {string} key - The key code to listen for (e.g., "Enter", "Escape")
- * @param {Function} action - Function to execute when key is pressed
- * 
+ * - Compares both event.key ("z", "?", "Escape") and event.code
+ *   ("KeyZ", "Enter"), case-insensitively
+ * - Ctrl/⌘ and Alt must be held exactly when the combo asks for them
+ *   (so "J" doesn't fire on Ctrl+J)
+ * - Shift is ignored for symbols like "?" that need Shift to be typed
+ *
+ * @param {KeyboardEvent} e - The keyboard event
+ * @param {Object} combo - Parsed combo (see parseCombo)
+ * @returns {boolean} True if the shortcut should run
+ */
+function matchesCombo(e, { key, mod, shift, alt }) {
+  const eventKey = e.key?.toLowerCase();
+  const eventCode = e.code?.toLowerCase();
+
+  const isKey =
+    eventKey === key || eventCode === key || eventCode === `key${key}`;
+  if (!isKey) return false;
+
+  if ((e.ctrlKey || e.metaKey) !== mod) return false;
+  if (e.altKey !== alt) return false;
+
+  const isSymbol = key.length === 1 && !/[a-z0-9]/.test(key);
+  return isSymbol || e.shiftKey === shift;
+}
+
+/**
+ * Checks whether the user is typing in a form field
+ *
+ * @param {EventTarget} target - Element that received the key press
+ * @returns {boolean} True for inputs, textareas, selects and editable content
+ */
+function isEditingText(target) {
+  return (
+    target instanceof Element &&
+    (target.matches("input, textarea, select") || target.isContentEditable)
+  );
+}
+
+/**
+ * The document keydown listener: runs the most recent matching shortcut
+ *
+ * @param {KeyboardEvent} e - The keyboard event
+ */
+function handleKeyDown(e) {
+  const shortcut = shortcuts.findLast(
+    (shortcut) =>
+      matchesCombo(e, shortcut.parsed) &&
+      (shortcut.allowInInputs || !isEditingText(e.target))
+  );
+
+  shortcut?.actionRef.current(e);
+}
+
+/**
+ * Replaces the registry and tells the subscribers
+ *
+ * The document listener is only attached while shortcuts are registered
+ *
+ * @param {Array} nextShortcuts - New list of registered shortcuts
+ */
+function setShortcuts(nextShortcuts) {
+  if (!shortcuts.length && nextShortcuts.length)
+    document.addEventListener("keydown", handleKeyDown);
+  if (shortcuts.length && !nextShortcuts.length)
+    document.removeEventListener("keydown", handleKeyDown);
+
+  shortcuts = nextShortcuts;
+  subscribers.forEach((subscriber) => subscriber());
+}
+
+/**
+ * Formats a combo for display, e.g. "Mod+Shift+Z" -> "Ctrl + Shift + Z"
+ *
+ * @param {string} combo - Combo string as given to useKey
+ * @returns {string} Human-readable combo (uses ⌘ on Mac)
+ */
+export function formatCombo(combo) {
+  return combo
+    .split("+")
+    .map((part) => (part === "Mod" ? (isMac ? "⌘" : "Ctrl") : part))
+    .join(" + ");
+}
+
+/**
+ * Custom hook to register a keyboard shortcut
+ *
+ * How it works:
+ * 1. Adds the shortcut to the registry when the component mounts
+ * 2. The shared keydown listener runs the action when the combo is pressed
+ * 3. Removes the shortcut on unmount or when the combo/options change
+ *
+ * The action is kept in a ref, so passing a new function on every render
+ * doesn't re-register the shortcut.
+ *
+ * @param {string} combo - Key combo (e.g., "Enter", "Escape", "Mod+Z", "?")
+ * @param {Function} action - Function to execute when the combo is pressed
+ *                            (receives the KeyboardEvent)
+ * @param {Object} options - Optional settings
+ * @param {string} options.description - Shown in the shortcut help
+ *                                       (shortcuts without one are hidden)
+ * @param {boolean} options.allowInInputs - Also fire while typing in a
+ *                                          text field (default: false)
+ *
  * @example
  * useKey("Escape", () => console.log("Escape pressed!"));
  */
-export function useKey(key, action) {
+export function useKey(
+  combo,
+  action,
+  { description, allowInInputs = false } = {}
+) {
+  // Latest action, so the registered shortcut always calls it
+  const actionRef = useRef(action);
+
   /**
-   * Effect that sets up and cleans up the keyboard event listener
-   * 
-   * This effect:
-   * - Creates a callback function that checks if the pressed key matches
-   * - Adds the event listener to the document
-   * - Returns a cleanup function that removes the listener
-   * 
-   * Why document.addEventListener?
-   * - Listens for keyboard events anywhere on the page
-   * - Works even when focus is not on a specific element
-   * - Global keyboard shortcuts
+   * Effect to keep the action ref up to date after every render
+   */
+  useEffect(function () {
+    actionRef.current = action;
+  });
+
+  /**
+   * Effect that registers the shortcut and unregisters it on cleanup
    */
   useEffect(
     function () {
-      /**
-       * Callback function that handles keyboard events
-       * 
-       * @param {KeyboardEvent} e - The keyboard event object
-       */
-      function callback(e) {
-        // Compare the pressed key with the target key
-        // Use toLowerCase() for case-insensitive matching
-        // e.code gives us the physical key code (e.g., "Enter", "Escape")
-        if (e.code.toLowerCase() === key.toLowerCase()) {
-          // Execute the action function when key matches
-          action();
-        }
-      }
-
-      // Add event listener to document
-      // Listens for keydown events (key is pressed down)
-      document.addEventListener("keydown", callback);
-
-      // Cleanup function: removes event listener
-      // This prevents memory leaks and ensures we don't have multiple listeners
+      const shortcut = {
+        combo,
+        parsed: parseCombo(combo),
+        description,
+        allowInInputs,
+        actionRef,
+      };
+
+      setShortcuts([...shortcuts, shortcut]);
+
+      // Cleanup function: removes the shortcut
       // Runs automatically when:
       // - Component unmounts
-      // - key or action dependencies change
+      // - combo or options change
       return function () {
-        document.removeEventListener("keydown", callback);
+        setShortcuts(shortcuts.filter((other) => other !== shortcut));
       };
     },
-    [key, action] // Re-run effect if key or action changes
+    [combo, description, allowInInputs]
   );
 }
+
+/**
+ * Custom hook to read the registered shortcuts that have a description
+ *
+ * Re-renders the component whenever shortcuts are registered or removed
+ *
+ * @returns {Array} [{ combo, description }], one entry per combo
+ *
+ * @example
+ * const shortcuts = useShortcuts();
+ * // [{ combo: "Escape", description: "Close movie details" }, ...]
+ */
+export function useShortcuts() {
+  const registered = useSyncExternalStore(
+    function (subscriber) {
+      subscribers.add(subscriber);
+      return () => subscribers.delete(subscriber);
+    },
+    () => shortcuts
+  );
+
+  // The same combo can be registered by several components; list it once
+  const byCombo = new Map();
+  for (const { combo, description } of registered)
+    if (description && !byCombo.has(combo))
+      byCombo.set(combo, { combo, description });
+
+  return [...byCombo.values()];
+}
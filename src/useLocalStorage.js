@@ -10,6 +10,10 @@
  * - Automatically saves to localStorage whenever value changes
  * - Works seamlessly with React state updates
  * - Handles JSON serialization/deserialization automatically
+ * - Works with any JSON value (arrays, objects, primitives)
+ * - Versioned data with migration functions for older versions
+ * - Falls back to initialState if the stored data is corrupt or invalid
+ * - Picks up changes made in other tabs (with an optional merge function)
  * 
  * Why use this hook?
  * - Regular useState doesn't persist data across page refreshes
@@ -18,34 +22,129 @@
  * 
  * @param {any} initialState - Initial value if nothing is stored in localStorage
  * @param {string} key - localStorage key to store the value under
- * @returns {Array} [value, setValue] - Same API as useState
+ * @param {Object} schema - Optional { version, migrations, validate } (see below)
+ * @returns {Array} [value, setValue, isLoaded] - Same API as useState, plus
+ *                   isLoaded (always true, see useIndexedDB)
  * 
  * @example
  * const [watched, setWatched] = useLocalStorage([], "watched");
  * // Now watched movies persist across page refreshes!
+ * 
+ * @example
+ * // Versioned data: version 1 stores runtime as a number
+ * const [watched, setWatched] = useLocalStorage([], "watched", {
+ *   version: 1,
+ *   migrations: {
+ *     1: (watched) => watched.map((m) => ({ ...m, runtime: Number(m.runtime) })),
+ *   },
+ *   validate: Array.isArray,
+ * });
+ */
+
+import { useState, useEffect, useRef } from "react";
+
+// Used when no schema is given, so the storage listener isn't re-created
+// on every render because of a new {} default
+const NO_SCHEMA = {};
+
+/**
+ * Brings a value up to the current schema version
+ * 
+ * Each migration upgrades the value by one version: migrations[1] turns a
+ * version 0 value into version 1, migrations[2] turns version 1 into 2, etc.
+ * 
+ * @param {any} value - Value in the shape of storedVersion
+ * @param {number} storedVersion - Version the value was saved with
+ * @param {Object} schema - { version, migrations }
+ * @returns {any} The migrated value
+ * @throws {Error} If the value comes from a newer version of the app
+ */
+export function migrateValue(
+  value,
+  storedVersion,
+  { version = 0, migrations = {} } = {}
+) {
+  // Data from a newer version of the app: we can't know its shape
+  if (storedVersion > version)
+    throw new Error(`Unsupported version ${storedVersion}`);
+
+  // Run every migration between the stored and the current version, in order
+  while (storedVersion < version) {
+    storedVersion++;
+    const migrate = migrations[storedVersion];
+    if (migrate) value = migrate(value);
+  }
+
+  return value;
+}
+
+/**
+ * Reads a stored value and brings it up to the current schema version
+ * 
+ * Stored format: { version, value }
+ * Data written before versioning existed (the bare value) counts as version 0.
+ * 
+ * @param {string} storedValue - Raw string from localStorage
+ * @param {Object} schema - { version, migrations, validate }
+ * @returns {any} The migrated value
+ * @throws {Error} If the data can't be parsed, migrated or validated
  */
+export function parseStoredValue(storedValue, schema = {}) {
+  const parsed = JSON.parse(storedValue);
+
+  // Versioned data is wrapped in an envelope, older data is the bare value
+  const isEnvelope =
+    parsed !== null &&
+    typeof parsed === "object" &&
+    !Array.isArray(parsed) &&
+    Number.isInteger(parsed.version) &&
+    "value" in parsed;
+
+  const value = migrateValue(
+    isEnvelope ? parsed.value : parsed,
+    isEnvelope ? parsed.version : 0,
+    schema
+  );
 
-import { useState, useEffect } from "react";
+  if (schema.validate && !schema.validate(value))
+    throw new Error("Invalid stored value");
+
+  return value;
+}
 
 /**
  * Custom hook to synchronize state with localStorage
  * 
  * How it works:
  * 1. On initial render, checks localStorage for existing value
- * 2. If found, uses that value; otherwise uses initialState
- * 3. Whenever value changes, automatically saves to localStorage
- * 4. Returns [value, setValue] just like useState
+ * 2. If found, migrates it to the current version and validates it
+ * 3. If missing, corrupt or invalid, uses initialState instead
+ * 4. Whenever value changes, automatically saves to localStorage
+ * 5. Whenever another tab saves the same key, updates (or merges) the value
+ * 6. Returns [value, setValue] just like useState
  * 
  * Important notes:
  * - The value must be JSON-serializable (objects, arrays, primitives)
  * - Functions cannot be stored in localStorage
  * - Updates are synchronous (no async operations)
+ * - Corrupt data is kept under `${key}:corrupt` so it isn't lost silently
+ * - Without schema.merge, a change from another tab replaces this tab's value
  * 
  * @param {any} initialState - Default value if localStorage is empty
  * @param {string} key - Key to store value in localStorage
- * @returns {Array} [value, setValue] - Same as useState hook
+ * @param {Object} schema - Optional schema of the stored value
+ * @param {number} schema.version - Current version of the data shape (default: 0)
+ * @param {Object} schema.migrations - { [version]: (value) => value } upgrade functions
+ * @param {Function} schema.validate - Returns false if a stored value can't be used
+ * @param {Function} schema.merge - (base, local, remote) => value, combines this
+ *                                  tab's value with one saved by another tab
+ * @returns {Array} [value, setValue, isLoaded] - Same as useState hook
+ *                   (isLoaded is always true: localStorage is read synchronously)
  */
-export function useLocalStorage(initialState, key) {
+export function useLocalStorage(initialState, key, schema = NO_SCHEMA) {
+  // Current schema version, written alongside the value
+  const version = schema.version ?? 0;
+
   /**
    * Initialize state from localStorage
    * 
@@ -60,12 +159,25 @@ export function useLocalStorage(initialState, key) {
   const [value, setValue] = useState(function () {
     // Try to get the stored value from localStorage
     const storedValue = localStorage.getItem(key);
-    
-    // If a value exists, parse it from JSON and use it
-    // Otherwise, use the provided initialState
-    return storedValue ? JSON.parse(storedValue) : initialState;
+
+    // Nothing stored yet: use the provided initialState
+    if (storedValue === null) return initialState;
+
+    try {
+      // Parse, migrate and validate the stored value
+      return parseStoredValue(storedValue, schema);
+    } catch {
+      // Don't crash the app on corrupt data: back it up and start fresh
+      localStorage.setItem(`${key}:corrupt`, storedValue);
+      return initialState;
+    }
   });
 
+  // Last value this tab saved to (or read from) localStorage
+  // Used as the common ancestor when merging changes from another tab
+  // useRef because it must not trigger re-renders
+  const baseRef = useRef(value);
+
   /**
    * Effect to save value to localStorage whenever it changes
    * 
@@ -83,15 +195,63 @@ export function useLocalStorage(initialState, key) {
   useEffect(
     function () {
       // Save the current value to localStorage
-      // JSON.stringify converts the value to a string
-      // We spread the value into an array to ensure it's an array
-      // (This works for arrays; for objects, you'd use {...value})
-      localStorage.setItem(key, JSON.stringify([...value]));
+      // The value is wrapped with its schema version so future versions
+      // of the app know which migrations to run
+      localStorage.setItem(key, JSON.stringify({ version, value }));
+      baseRef.current = value;
+    },
+    [value, key, version] // Run effect when value or key changes
+  );
+
+  /**
+   * Effect to pick up changes saved by other tabs
+   * 
+   * The browser fires a "storage" event in every other tab when
+   * localStorage changes (never in the tab that made the change).
+   * 
+   * Without this, each tab keeps its own copy and the last one to save
+   * silently overwrites what the other tab added.
+   */
+  useEffect(
+    function () {
+      /**
+       * @param {StorageEvent} e - The storage event object
+       */
+      function handleStorage(e) {
+        // Ignore other keys, sessionStorage, and the key being removed
+        if (e.storageArea !== localStorage || e.key !== key) return;
+        if (e.newValue === null) return;
+
+        let remote;
+        try {
+          remote = parseStoredValue(e.newValue, schema);
+        } catch {
+          // The other tab saved something we can't read: keep our value
+          return;
+        }
+
+        const base = baseRef.current;
+        baseRef.current = remote;
+
+        // Combine both tabs' changes if the schema knows how,
+        // otherwise the other tab's (newer) value wins
+        setValue((local) =>
+          schema.merge ? schema.merge(base, local, remote) : remote
+        );
+      }
+
+      window.addEventListener("storage", handleStorage);
+
+      return function () {
+        window.removeEventListener("storage", handleStorage);
+      };
     },
-    [value, key] // Run effect when value or key changes
+    [key, schema] // Re-subscribe if the key or schema changes
   );
 
   // Return the same API as useState
   // This makes it a drop-in replacement for useState
-  return [value, setValue];
+  // The stored value was read on the first render, so it is always loaded
+  // (the third item matches useIndexedDB, which loads asynchronously)
+  return [value, setValue, true];
 }
@@ -0,0 +1,104 @@
+/**
+ * useMovieDetails - Custom React Hook for Loading a Single Movie
+ *
+ * This custom hook fetches the full details of a movie through the movie
+ * provider whenever the selected IMDb ID changes.
+ *
+ * Features:
+ * - Loading state management
+ * - Error handling (network errors, HTTP errors, "Movie not found")
+ * - Automatic retries with exponential backoff for transient failures
+ * - Manual retry (e.g. from a "Retry" button)
+ * - Request cancellation when the selected movie changes mid-flight
+ *
+ * @param {string} selectedId - IMDb ID of the movie to load
+ * @returns {Object} { movie, isLoading, error, retry }
+ *
+ * @example
+ * const { movie, isLoading, error, retry } = useMovieDetails(selectedId);
+ */
+
+import { useEffect, useState } from "react";
+
+import { movieProvider } from "./movieProvider";
+import { retryWithBackoff } from "./retry";
+
+/**
+ * Custom hook to fetch a movie's details from the movie provider
+ *
+ * How it works:
+ * 1. Listens for changes in selectedId (and manual retries)
+ * 2. Clears the previous movie so a stale one is never shown
+ * 3. Fetches the movie, retrying transient failures with backoff
+ * 4. Aborts the request (and pending retries) if selectedId changes
+ *
+ * @param {string} selectedId - IMDb ID of the movie to load
+ * @returns {Object} { movie: Object, isLoading: boolean, error: string, retry: Function }
+ */
+export function useMovieDetails(selectedId) {
+  // State for the full movie details object from the provider
+  const [movie, setMovie] = useState({});
+
+  // Loading state for movie details fetch
+  const [isLoading, setIsLoading] = useState(false);
+
+  // State to store the error message if loading failed
+  const [error, setError] = useState("");
+
+  // Incremented by retry() to run the fetch effect again
+  const [attempt, setAttempt] = useState(0);
+
+  /**
+   * Effect to fetch movie details from the movie provider
+   *
+   * Runs when selectedId changes or when the user asks for a retry
+   */
+  useEffect(
+    function () {
+      // Cancels the request and any scheduled retries on cleanup
+      const controller = new AbortController();
+
+      async function getMovieDetails() {
+        try {
+          setIsLoading(true);
+          setError("");
+          // Don't keep showing the previous movie while the new one loads
+          setMovie({});
+
+          // Fetch movie details by IMDb ID
+          // Transient errors (network, 5xx) are retried a couple of times
+          const data = await retryWithBackoff(
+            () =>
+              movieProvider.getById(selectedId, { signal: controller.signal }),
+            { signal: controller.signal }
+          );
+          setMovie(data);
+        } catch (error) {
+          // Cancelled requests are expected when selectedId changes
+          if (error.name !== "AbortError") setError(error.message);
+        } finally {
+          // Only the latest request controls the loading state
+          if (!controller.signal.aborted) setIsLoading(false);
+        }
+      }
+
+      getMovieDetails();
+
+      // Cleanup function: abort the request when selectedId changes
+      // or the details view is closed
+      return function () {
+        controller.abort();
+      };
+    },
+    [selectedId, attempt] // Run when selectedId changes or on retry
+  );
+
+  /**
+   * Loads the current movie again (after an error)
+   */
+  function retry() {
+    setAttempt((attempt) => attempt + 1);
+  }
+
+  return { movie, isLoading, error, retry };
+}
@@ -1,46 +1,111 @@
 /**
  * useMovies - Custom React Hook for Movie Search
  * 
- * This custom hook handles fetching movies from the OMDb API based on a search query.
+ * This custom hook handles searching movies through the movie provider
+ * (OMDb API or local fixtures, see movieProvider.js) based on a search query.
  * It provides a clean interface for components to search for movies with built-in
  * loading states, error handling, and request cancellation.
  * 
  * Features:
- * - Debounced search (only searches when query is 3+ characters)
+ * - Debounced search (waits until the user stops typing)
+ * - Minimum query length (only searches when query is 3+ characters by default)
  * - Loading state management
  * - Error handling
  * - Request cancellation (aborts previous requests when query changes)
+ * - Pagination (load further pages on demand, deduplicated by imdbID)
+ * - Type and year filters
  * - Optional callback function (e.g., to close movie details when searching)
  * 
  * @param {string} query - The search query string
+ * @param {Object} filters - Search filters: { type, year }
  * @param {Function} callback - Optional callback function to execute when query changes
- * @returns {Object} Object containing movies array, isLoading boolean, and error string
+ * @param {Object} options - Optional debounce settings: { delay, minLength }
+ * @returns {Object} Object containing movies array, totalResults, loading/error state
+ *                   and loadMore/hasMore for pagination
  * 
  * @example
- * const { movies, isLoading, error } = useMovies("inception", handleCloseMovie);
+ * const { movies, totalResults, isLoading, error, loadMore, hasMore } =
+ *   useMovies("dune", { type: "movie", year: "1984" }, handleCloseMovie);
  */
 
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 
-// OMDb API key for movie search
-// Note: In production, this should be in an environment variable
-const key = "99496f8d";
+import { movieProvider } from "./movieProvider";
+
+// Default time to wait after the last keystroke before searching (ms)
+const DEFAULT_DELAY = 300;
+
+// Default minimum number of characters before a search is sent
+const DEFAULT_MIN_LENGTH = 3;
+
+/**
+ * Converts the filters chosen in the UI into provider search options
+ *
+ * Empty filters are left out, and a year is only used once it has four
+ * digits so we don't search for "19" while the user is still typing.
+ *
+ * @param {Object} filters - Search filters: { type, year }
+ * @returns {Object} { type, year } with unset filters as undefined
+ */
+function toSearchOptions({ type, year } = {}) {
+  return {
+    type: type || undefined,
+    year: /^\d{4}$/.test(year ?? "") ? year : undefined,
+  };
+}
+
+/**
+ * Appends a page of search results, skipping movies already in the list
+ *
+ * OMDb sometimes returns the same movie on two different pages, which would
+ * otherwise cause duplicate React keys in MovieList.
+ *
+ * @param {Array} movies - Movies loaded so far
+ * @param {Array} nextMovies - Movies from the newly loaded page
+ * @returns {Array} Combined list without duplicate imdbIDs
+ */
+function mergeMovies(movies, nextMovies) {
+  const seen = new Set(movies.map((movie) => movie.imdbID));
+  const newMovies = nextMovies.filter((movie) => {
+    if (seen.has(movie.imdbID)) return false;
+    seen.add(movie.imdbID);
+    return true;
+  });
+
+  return [...movies, ...newMovies];
+}
 
 /**
- * Custom hook to fetch movies from OMDb API
+ * Custom hook to fetch movies from the movie provider
  * 
  * How it works:
- * 1. Listens for changes in the query parameter
- * 2. Only fetches if query is 3+ characters (reduces unnecessary API calls)
- * 3. Cancels previous requests when query changes (prevents race conditions)
- * 4. Manages loading and error states
- * 5. Returns movies, loading state, and error state
+ * 1. Listens for changes in the query and filters
+ * 2. Only fetches if query is long enough (reduces unnecessary API calls)
+ * 3. Waits until the query has settled for `delay` ms before fetching
+ * 4. Cancels previous requests when query changes (prevents race conditions)
+ * 5. Manages loading and error states
+ * 6. Loads the next page of results when loadMore() is called
+ * 7. Returns movies, pagination info, loading state, and error state
  * 
  * @param {string} query - Search query string
+ * @param {Object} filters - Search filters
+ * @param {string} filters.type - Result type: "movie", "series", "episode" or "" for all
+ * @param {string} filters.year - Year of release, or "" for any year
  * @param {Function} callback - Optional callback to execute when query changes
- * @returns {Object} { movies: Array, isLoading: boolean, error: string }
+ * @param {Object} options - Optional settings
+ * @param {number} options.delay - Debounce delay in ms (default: 300, 0 to disable)
+ * @param {number} options.minLength - Minimum query length to search (default: 3)
+ * @returns {Object} { movies: Array, totalResults: number, isLoading: boolean,
+ *                     isLoadingMore: boolean, error: string,
+ *                     loadMoreError: string, loadMore: Function,
+ *                     hasMore: boolean }
  */
-export function useMovies(query, callback) {
+export function useMovies(
+  query,
+  filters,
+  callback,
+  { delay = DEFAULT_DELAY, minLength = DEFAULT_MIN_LENGTH } = {}
+) {
   // State to store the fetched movies array
   const [movies, setMovies] = useState([]);
   
@@ -50,14 +115,49 @@ export function useMovies(query, callback) {
   // State to store any error messages from the API
   const [error, setError] = useState(null);
 
+  // Total number of matches reported by the provider (across all pages)
+  const [totalResults, setTotalResults] = useState(0);
+
+  // Last page that has been loaded (1-based)
+  const [page, setPage] = useState(1);
+
+  // Number of results received so far, before deduplication
+  // Used instead of movies.length so duplicates don't make hasMore stay true
+  const [loadedCount, setLoadedCount] = useState(0);
+
+  // State to track if a further page is currently being fetched
+  // Kept separate from isLoading so the list stays visible while loading more
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+
+  // Error message from the last failed loadMore (shown next to "Load more")
+  // Kept separate from error so a failed page doesn't hide the loaded list
+  const [loadMoreError, setLoadMoreError] = useState("");
+
+  // AbortController of the in-flight loadMore request (null when idle)
+  // useRef because it must not trigger re-renders and must be readable
+  // synchronously to avoid starting the same page twice
+  const loadMoreControllerRef = useRef(null);
+
+  // The search (query and filters) the currently loaded results belong to
+  // loadMore uses it instead of the live query, which may still be settling
+  const searchedRef = useRef(null);
+
+  // There are more pages to load if we haven't received every match yet
+  const hasMore = loadedCount < totalResults;
+
+  // Filters in the shape the provider expects
+  // Destructured so the effect below can depend on the individual values
+  const { type, year } = toSearchOptions(filters);
+
   /**
-   * Effect that runs whenever the query changes
+   * Effect that runs whenever the query or filters change
    * 
    * This effect:
    * - Calls the optional callback (e.g., to close movie details)
    * - Creates an AbortController to cancel requests
-   * - Fetches movies from API if query is valid
-   * - Cleans up by aborting the request if component unmounts or query changes
+   * - Waits for the debounce delay, then fetches movies if query is valid
+   * - Cleans up by cancelling the pending timer and aborting the request
+   *   if component unmounts or query changes
    */
   useEffect(
     function () {
@@ -70,8 +170,14 @@ export function useMovies(query, callback) {
       // Old requests are cancelled when a new one starts
       const controller = new AbortController();
 
+      // Cancel any "load more" request that belongs to the previous query
+      loadMoreControllerRef.current?.abort();
+      loadMoreControllerRef.current = null;
+      setIsLoadingMore(false);
+      setLoadMoreError("");
+
       /**
-       * Async function to fetch movies from OMDb API
+       * Async function to fetch movies from the movie provider
        * 
        * Why async/await instead of .then()?
        * - More readable and easier to handle errors
@@ -84,29 +190,21 @@ export function useMovies(query, callback) {
           // Clear any previous errors
           setError("");
 
-          // Fetch movies from OMDb API
-          // 's' parameter is for search query
+          // Search movies through the movie provider
+          // The provider throws on HTTP errors and when no movies are found
           // signal: controller.signal allows us to cancel the request
-          const response = await fetch(
-            `http://www.omdbapi.com/?apikey=${key}&s=${query}`,
-            { signal: controller.signal }
-          );
-
-          // Check if the HTTP response was successful
-          // If not, throw an error
-          if (!response.ok)
-            throw new Error("Something went wrong with fetching movies");
-
-          // Parse the JSON response
-          const data = await response.json();
-          
-          // OMDb API returns { Response: "False" } when no movies are found
-          // Check for this and throw an error
-          if (data.Response === "False") throw new Error("Movie not found");
-
-          // If successful, set the movies array
-          // data.Search contains the array of movies
-          setMovies(data.Search);
+          const { movies, totalResults } = await movieProvider.search(query, {
+            type,
+            year,
+            signal: controller.signal,
+          });
+
+          // If successful, start a fresh list with the first page
+          searchedRef.current = { query, type, year };
+          setMovies(mergeMovies([], movies));
+          setTotalResults(totalResults);
+          setPage(1);
+          setLoadedCount(movies.length);
 
           // Note: We don't need to clear error here because we already set it to ""
           // at the start of the function. This ensures errors are cleared before
@@ -117,6 +215,13 @@ export function useMovies(query, callback) {
           // We don't want to show an error message for cancelled requests
           if (error.name !== "AbortError") {
             setError(error.message);
+
+            // Drop the previous search's results so they aren't shown
+            // (or paginated) as if they matched the failed query
+            searchedRef.current = null;
+            setMovies([]);
+            setTotalResults(0);
+            setLoadedCount(0);
           }
         } finally {
           // Always set loading to false, even if there was an error
@@ -125,30 +230,90 @@ export function useMovies(query, callback) {
         }
       }
 
-      // Don't search if query is less than 3 characters
+      // Don't search if query is shorter than minLength (3 by default)
       // This reduces unnecessary API calls and improves performance
       // Also provides better UX (no flickering results while typing)
-      if (query.length < 3) {
+      if (query.length < minLength) {
+        searchedRef.current = null;
         setMovies([]);  // Clear movies
+        setTotalResults(0);
+        setLoadedCount(0);
         setError("");   // Clear errors
         return;         // Exit early
       }
 
-      // Fetch movies for the current query
-      fetchMovies();
+      // Fetch movies for the current query once it has stopped changing
+      // Every keystroke clears the previous timer (see cleanup below),
+      // so only the settled query reaches the provider
+      const timer = delay > 0 ? setTimeout(fetchMovies, delay) : null;
+      if (!timer) fetchMovies();
 
       // Cleanup function: runs when component unmounts or query changes
-      // This cancels the ongoing request to prevent memory leaks and race conditions
+      // This cancels the pending search and the ongoing request to prevent
+      // memory leaks and race conditions
       return function () {
+        clearTimeout(timer);
         controller.abort();
       };
     },
-    [query] // Only run effect when query changes
+    [query, type, year, delay, minLength] // Only run effect when the search changes
     // Note: callback is intentionally not in dependencies
     // This prevents infinite loops if callback is recreated on each render
   );
 
-  // Return movies, loading state, and error state
-  // Components can destructure these values: { movies, isLoading, error }
-  return { movies, isLoading, error };
+  /**
+   * Fetches the next page of results and appends it to the movies list
+   *
+   * Does nothing if there are no more pages, or if the first page or
+   * another page is still loading. The request is cancelled if the query
+   * changes before it finishes.
+   */
+  async function loadMore() {
+    const searched = searchedRef.current;
+    if (!searched || !hasMore || isLoading || loadMoreControllerRef.current)
+      return;
+
+    const controller = new AbortController();
+    loadMoreControllerRef.current = controller;
+
+    try {
+      setIsLoadingMore(true);
+      setLoadMoreError("");
+
+      const { movies: nextMovies } = await movieProvider.search(searched.query, {
+        page: page + 1,
+        type: searched.type,
+        year: searched.year,
+        signal: controller.signal,
+      });
+
+      setMovies((movies) => mergeMovies(movies, nextMovies));
+      setLoadedCount((count) => count + nextMovies.length);
+      setPage((page) => page + 1);
+    } catch (error) {
+      // Cancelled requests are expected when the query changes
+      if (error.name !== "AbortError") {
+        setLoadMoreError(error.message);
+      }
+    } finally {
+      // Only reset if this request wasn't already replaced by a new query
+      if (loadMoreControllerRef.current === controller) {
+        loadMoreControllerRef.current = null;
+        setIsLoadingMore(false);
+      }
+    }
+  }
+
+  // Return movies, pagination info, loading state, and error state
+  // Components can destructure these values: { movies, isLoading, error, ... }
+  return {
+    movies,
+    totalResults,
+    isLoading,
+    isLoadingMore,
+    error,
+    loadMoreError,
+    loadMore,
+    hasMore,
+  };
 }
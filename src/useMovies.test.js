@@ -0,0 +1,136 @@
+/**
+ * Tests for useMovies: debouncing, minimum query length and errors
+ *
+ * The hook runs against the fixture provider (the default when
+ * NODE_ENV=test, see movieProvider.js); a spy on movieProvider.search
+ * counts the searches that reach the provider.
+ */
+
+import { act, renderHook } from "@testing-library/react";
+
+import { useMovies } from "./useMovies";
+import { movieProvider } from "./movieProvider";
+
+// No filters: search every type and year
+const NO_FILTERS = { type: "", year: "" };
+
+/**
+ * Renders useMovies with a query that can be changed with rerender()
+ *
+ * @param {string} query - Initial query
+ * @param {Object} options - useMovies options: { delay, minLength }
+ * @returns {Object} renderHook result
+ */
+function renderSearch(query, options) {
+  return renderHook(
+    ({ query }) => useMovies(query, NO_FILTERS, undefined, options),
+    { initialProps: { query } }
+  );
+}
+
+/**
+ * Types a query one keystroke at a time
+ *
+ * @param {Function} rerender - rerender() of renderSearch
+ * @param {string} text - Text to type
+ * @param {number} interval - Time between keystrokes (ms)
+ */
+function typeQuery(rerender, text, interval) {
+  for (let i = 1; i <= text.length; i++) {
+    rerender({ query: text.slice(0, i) });
+    act(() => jest.advanceTimersByTime(interval));
+  }
+}
+
+let searchSpy;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  // The cached provider also keeps results in sessionStorage
+  sessionStorage.clear();
+  searchSpy = jest.spyOn(movieProvider, "search");
+});
+
+afterEach(() => {
+  searchSpy.mockRestore();
+  jest.useRealTimers();
+});
+
+test("only the settled query reaches the provider", async () => {
+  const { result, rerender } = renderSearch("");
+
+  // Keystrokes 100ms apart, well within the 300ms debounce delay
+  typeQuery(rerender, "interstellar", 100);
+  expect(searchSpy).not.toHaveBeenCalled();
+
+  await act(async () => jest.advanceTimersByTime(300));
+
+  expect(searchSpy).toHaveBeenCalledTimes(1);
+  expect(searchSpy).toHaveBeenCalledWith("interstellar", expect.any(Object));
+  expect(result.current.movies.map((movie) => movie.Title)).toEqual([
+    "Interstellar",
+  ]);
+});
+
+test("queries shorter than minLength are not searched", async () => {
+  const { result, rerender } = renderSearch("", { minLength: 5 });
+
+  typeQuery(rerender, "dune", 100);
+  await act(async () => jest.advanceTimersByTime(1000));
+
+  expect(searchSpy).not.toHaveBeenCalled();
+  expect(result.current.movies).toEqual([]);
+
+  // The default minimum is 3 characters
+  const { rerender: rerenderDefault } = renderSearch("");
+  typeQuery(rerenderDefault, "du", 100);
+  await act(async () => jest.advanceTimersByTime(1000));
+
+  expect(searchSpy).not.toHaveBeenCalled();
+});
+
+test("delay: 0 searches on every change without waiting", async () => {
+  const { rerender } = renderSearch("", { delay: 0 });
+
+  rerender({ query: "dun" });
+  rerender({ query: "dune" });
+  await act(async () => jest.advanceTimersByTime(0));
+
+  expect(searchSpy).toHaveBeenCalledTimes(2);
+  expect(searchSpy).toHaveBeenNthCalledWith(1, "dun", expect.any(Object));
+  expect(searchSpy).toHaveBeenNthCalledWith(2, "dune", expect.any(Object));
+});
+
+test("a failed search clears the previous results", async () => {
+  const { result, rerender } = renderSearch("interstellar", { delay: 0 });
+  await act(async () => jest.advanceTimersByTime(0));
+  expect(result.current.movies).toHaveLength(1);
+
+  searchSpy.mockRejectedValueOnce(new Error("Request limit reached!"));
+  rerender({ query: "interstellar 2" });
+  await act(async () => jest.advanceTimersByTime(0));
+
+  expect(result.current.error).toBe("Request limit reached!");
+  expect(result.current.movies).toEqual([]);
+  expect(result.current.totalResults).toBe(0);
+  expect(result.current.hasMore).toBe(false);
+});
+
+test("a failed page keeps the loaded results and its own error", async () => {
+  searchSpy.mockResolvedValueOnce({
+    movies: [{ imdbID: "tt0000001", Title: "Page one" }],
+    totalResults: 2,
+  });
+  const { result } = renderSearch("batman", { delay: 0 });
+  await act(async () => jest.advanceTimersByTime(0));
+
+  searchSpy.mockRejectedValueOnce(new Error("Network error"));
+  await act(async () => result.current.loadMore());
+
+  expect(result.current.error).toBe("");
+  expect(result.current.loadMoreError).toBe("Network error");
+  expect(result.current.movies.map((movie) => movie.Title)).toEqual([
+    "Page one",
+  ]);
+  expect(result.current.hasMore).toBe(true);
+});
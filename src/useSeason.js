@@ -0,0 +1,106 @@
+/**
+ * useSeason - Custom React Hook for Loading the Episodes of a Season
+ *
+ * This custom hook fetches one season of a series through the movie
+ * provider whenever the series or the season number changes.
+ *
+ * Features:
+ * - Loading state management
+ * - Error handling, with automatic retries for transient failures
+ * - Manual retry (e.g. from a "Retry" button)
+ * - Request cancellation when the user picks another season mid-flight
+ *
+ * @param {string} seriesId - IMDb ID of the series (null to load nothing)
+ * @param {number} season - Season number, starting at 1
+ * @returns {Object} { episodes, isLoading, error, retry }
+ *
+ * @example
+ * const { episodes, isLoading } = useSeason("tt0903747", 1);
+ */
+
+import { useEffect, useState } from "react";
+
+import { movieProvider } from "./movieProvider";
+import { retryWithBackoff } from "./retry";
+
+/**
+ * Custom hook to fetch the episodes of a season from the movie provider
+ *
+ * How it works:
+ * 1. Listens for changes in seriesId and season (and manual retries)
+ * 2. Clears the previous episodes so a stale season is never shown
+ * 3. Fetches the season, retrying transient failures with backoff
+ * 4. Aborts the request if the season changes or the component unmounts
+ *
+ * @param {string} seriesId - IMDb ID of the series (null to load nothing)
+ * @param {number} season - Season number, starting at 1
+ * @returns {Object} { episodes: Array, isLoading: boolean, error: string, retry: Function }
+ */
+export function useSeason(seriesId, season) {
+  // Episodes of the season: [{ Title, Released, Episode, imdbRating, imdbID }]
+  const [episodes, setEpisodes] = useState([]);
+
+  // Loading state for the season fetch
+  const [isLoading, setIsLoading] = useState(false);
+
+  // State to store the error message if loading failed
+  const [error, setError] = useState("");
+
+  // Incremented by retry() to run the fetch effect again
+  const [attempt, setAttempt] = useState(0);
+
+  /**
+   * Effect to fetch the season from the movie provider
+   *
+   * Runs when the series or season changes, or when the user asks for a retry
+   */
+  useEffect(
+    function () {
+      if (!seriesId) return;
+
+      // Cancels the request and any scheduled retries on cleanup
+      const controller = new AbortController();
+
+      async function getSeason() {
+        try {
+          setIsLoading(true);
+          setError("");
+          setEpisodes([]);
+
+          const data = await retryWithBackoff(
+            () =>
+              movieProvider.getSeason(seriesId, season, {
+                signal: controller.signal,
+              }),
+            { signal: controller.signal }
+          );
+          setEpisodes(data.Episodes ?? []);
+        } catch (error) {
+          // Cancelled requests are expected when the season changes
+          if (error.name !== "AbortError") setError(error.message);
+        } finally {
+          // Only the latest request controls the loading state
+          if (!controller.signal.aborted) setIsLoading(false);
+        }
+      }
+
+      getSeason();
+
+      // Cleanup function: abort the request when the season changes
+      // or the details view is closed
+      return function () {
+        controller.abort();
+      };
+    },
+    [seriesId, season, attempt]
+  );
+
+  /**
+   * Loads the current season again (after an error)
+   */
+  function retry() {
+    setAttempt((attempt) => attempt + 1);
+  }
+
+  return { episodes, isLoading, error, retry };
+}
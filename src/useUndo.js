@@ -0,0 +1,211 @@
+/**
+ * useUndo - Custom React Hook for Undo/Redo
+ *
+ * This custom hook adds an undo/redo history on top of one or more lists
+ * kept in state (useState, useLocalStorage, useIndexedDB...). Changes made
+ * through `update` are recorded with a short label, so the UI can say what
+ * will be undone ("Removed Inception").
+ *
+ * Only the entries a change touched are recorded, not the whole lists, so
+ * undoing it leaves every other entry alone (e.g. movies rated in another
+ * tab in the meantime).
+ *
+ * Features:
+ * - Undo and redo stacks with a size limit
+ * - A label for every change (for toasts and tooltips)
+ * - One change can span several lists and is undone as a single step
+ * - Any new change clears the redo stack, like in text editors
+ *
+ * @param {Object} lists - Lists by name: { name: [value, setValue] }
+ * @param {Object} options - Optional { limit, getId } (default: 50 steps, imdbID)
+ * @returns {Object} { update, undo, redo, canUndo, canRedo }
+ *
+ * @example
+ * const { update, undo } = useUndo({ watched: [watched, setWatched] });
+ * update(
+ *   { watched: (watched) => watched.filter((m) => m.imdbID !== id) },
+ *   "Removed movie"
+ * );
+ */
+
+import { useState } from "react";
+
+/**
+ * Lists the entries that differ between two versions of a list
+ *
+ * Entries are matched by ID and compared by reference, so unchanged
+ * entries (the same object in both lists) are skipped.
+ *
+ * @param {Array} previous - List before the change
+ * @param {Array} next - List after the change
+ * @param {Function} getId - Returns the ID of an entry
+ * @returns {Array} [{ id, before, after, index }] where before/after are
+ *   undefined if the entry was added/removed, and index is its position
+ *   (used to put it back in place)
+ */
+function diffEntries(previous, next, getId) {
+  const changes = [];
+  const previousById = new Map(previous.map((entry) => [getId(entry), entry]));
+  const nextIds = new Set();
+
+  next.forEach(function (entry, index) {
+    const id = getId(entry);
+    nextIds.add(id);
+
+    const before = previousById.get(id);
+    if (before !== entry) changes.push({ id, before, after: entry, index });
+  });
+
+  previous.forEach(function (entry, index) {
+    const id = getId(entry);
+    if (!nextIds.has(id))
+      changes.push({ id, before: entry, after: undefined, index });
+  });
+
+  return changes;
+}
+
+/**
+ * Applies one side of recorded changes to the current list
+ *
+ * @param {Array} list - Current list
+ * @param {Array} changes - Changes from diffEntries()
+ * @param {string} side - "before" to undo, "after" to redo
+ * @param {Function} getId - Returns the ID of an entry
+ * @returns {Array} New list
+ */
+function applyEntries(list, changes, side, getId) {
+  const next = [...list];
+
+  for (const change of changes) {
+    const entry = change[side];
+    const index = next.findIndex((item) => getId(item) === change.id);
+
+    // Whether this side adds the entry (it doesn't exist on the other side)
+    const otherSide = side === "before" ? "after" : "before";
+    const isAdded = change[otherSide] === undefined;
+
+    if (entry === undefined) {
+      if (index !== -1) next.splice(index, 1);
+    } else if (index !== -1) {
+      // An entry added in the meantime (e.g. by a pending change) is
+      // kept rather than replaced, so nothing is added twice or lost
+      if (!isAdded) next[index] = entry;
+    } else {
+      next.splice(Math.min(change.index, next.length), 0, entry);
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Custom hook that records changes so they can be undone
+ *
+ * How it works:
+ * 1. update() works out the new lists, records the entries that changed
+ *    (before and after) on the undo stack, then applies them
+ * 2. undo() puts the "before" entries back and moves the change to the redo stack
+ * 3. redo() puts the "after" entries back and moves it to the undo stack
+ *
+ * Changes are applied to the latest value of each list, so entries the
+ * change didn't touch are never overwritten.
+ *
+ * @param {Object} lists - Lists by name: { name: [value, setValue] }
+ * @param {Object} options - Optional settings
+ * @param {number} options.limit - Maximum number of undo steps (default: 50)
+ * @param {Function} options.getId - Returns the ID of an entry (default: imdbID)
+ * @returns {Object} {
+ *   update: (updaters, label) => void, // updaters: { name: function of the list }
+ *   undo: () => string|undefined, // returns the label of the undone change
+ *   redo: () => string|undefined, // returns the label of the redone change
+ *   canUndo: boolean,
+ *   canRedo: boolean,
+ * }
+ */
+export function useUndo(
+  lists,
+  { limit = 50, getId = (entry) => entry.imdbID } = {}
+) {
+  // Recorded changes, most recent last: [{ changes: { name: [...] }, label }]
+  const [past, setPast] = useState([]);
+
+  // Undone changes that can be redone, most recent last
+  const [future, setFuture] = useState([]);
+
+  /**
+   * Applies one side of a recorded step to every list it touched
+   *
+   * @param {Object} changes - Changed entries by list name
+   * @param {string} side - "before" or "after"
+   */
+  function apply(changes, side) {
+    for (const [name, entries] of Object.entries(changes)) {
+      const setValue = lists[name][1];
+      setValue((list) => applyEntries(list, entries, side, getId));
+    }
+  }
+
+  /**
+   * Changes one or more lists and records the change for undo
+   *
+   * @param {Object} updaters - Functions of the previous lists by name,
+   *   e.g. { watched: (watched) => [...watched, movie] }
+   * @param {string} label - Description of the change (e.g. "Removed Inception")
+   */
+  function update(updaters, label) {
+    const changes = {};
+
+    for (const [name, updater] of Object.entries(updaters)) {
+      const value = lists[name][0];
+      const entries = diffEntries(value, updater(value), getId);
+      if (entries.length) changes[name] = entries;
+    }
+
+    if (!Object.keys(changes).length) return;
+
+    setPast((past) => [...past, { changes, label }].slice(-limit));
+    setFuture([]);
+    apply(changes, "after");
+  }
+
+  /**
+   * Reverts the entries of the last change
+   *
+   * @returns {string|undefined} Label of the undone change
+   */
+  function undo() {
+    if (!past.length) return;
+
+    const previous = past.at(-1);
+    setPast(past.slice(0, -1));
+    setFuture([...future, previous]);
+    apply(previous.changes, "before");
+
+    return previous.label;
+  }
+
+  /**
+   * Applies the entries of the last undone change again
+   *
+   * @returns {string|undefined} Label of the redone change
+   */
+  function redo() {
+    if (!future.length) return;
+
+    const next = future.at(-1);
+    setFuture(future.slice(0, -1));
+    setPast([...past, next].slice(-limit));
+    apply(next.changes, "after");
+
+    return next.label;
+  }
+
+  return {
+    update,
+    undo,
+    redo,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+  };
+}
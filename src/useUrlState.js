@@ -0,0 +1,147 @@
+/**
+ * useUrlState - Custom React Hook for State Kept in the URL
+ *
+ * This custom hook keeps the search query, the search filters and the open
+ * movie in the page URL, e.g. `?q=batman&type=movie&movie=tt0372784`, so a
+ * refresh restores the view and links to a movie can be shared.
+ *
+ * Features:
+ * - Reads the initial state from the URL on load
+ * - Opening or closing a movie adds a browser history entry, so back and
+ *   forward move between opened movies instead of leaving the app
+ * - Typing a query or changing filters replaces the current entry
+ *   (one entry per keystroke would make the back button useless)
+ * - Invalid parameters are ignored instead of breaking the app
+ *
+ * @returns {Array} [state, setState] where state is { query, filters, selectedId }
+ *
+ * @example
+ * const [{ query, selectedId }, setUrlState] = useUrlState();
+ * setUrlState({ selectedId: "tt0372784" }, { push: true });
+ */
+
+import { useState, useEffect, useRef } from "react";
+
+// Result types accepted by the "type" parameter (see SearchFilters)
+const TYPES = ["movie", "series", "episode"];
+
+/**
+ * Reads the URL state from a query string
+ *
+ * @param {string} search - Query string, e.g. "?q=batman&movie=tt0372784"
+ * @returns {Object} { query, filters: { type, year }, selectedId }
+ */
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search);
+
+  const type = params.get("type") ?? "";
+  const movie = params.get("movie") ?? "";
+
+  return {
+    query: params.get("q") ?? "",
+    filters: {
+      type: TYPES.includes(type) ? type : "",
+      year: (params.get("year") ?? "").replace(/\D/g, "").slice(0, 4),
+    },
+    selectedId: /^tt\d+$/.test(movie) ? movie : null,
+  };
+}
+
+/**
+ * Writes the URL state as a query string
+ *
+ * Empty values are left out, so the URL stays short
+ *
+ * @param {Object} state - { query, filters: { type, year }, selectedId }
+ * @returns {string} Query string with a leading "?" (or "" if empty)
+ */
+export function formatUrlState({ query, filters, selectedId }) {
+  const params = new URLSearchParams();
+
+  if (query) params.set("q", query);
+  if (filters.type) params.set("type", filters.type);
+  if (filters.year) params.set("year", filters.year);
+  if (selectedId) params.set("movie", selectedId);
+
+  const search = params.toString();
+  return search ? `?${search}` : "";
+}
+
+/**
+ * Custom hook that syncs the search and the open movie with the URL
+ *
+ * How it works:
+ * 1. Initializes state from window.location.search
+ * 2. Whenever state changes, writes it to the URL (pushState or replaceState)
+ * 3. When the user goes back or forward, reads the state from the URL again
+ *
+ * @returns {Array} [state, setState]
+ *   - state: { query, filters: { type, year }, selectedId }
+ *   - setState(changes, { push }): changes is an object (or a function of
+ *     the previous state) merged into the state; push adds a history entry
+ *     instead of replacing the current one
+ */
+export function useUrlState() {
+  // Lazy initialization: only parse the URL on the first render
+  const [state, setState] = useState(() =>
+    parseUrlState(window.location.search)
+  );
+
+  // Whether the next URL write should add a history entry
+  const pushRef = useRef(false);
+
+  /**
+   * Merges changes into the state
+   *
+   * @param {Object|Function} changes - New values, or function of the state
+   * @param {Object} options - Optional { push } (default: false)
+   */
+  function updateState(changes, { push = false } = {}) {
+    if (push) pushRef.current = true;
+
+    setState((state) => ({
+      ...state,
+      ...(typeof changes === "function" ? changes(state) : changes),
+    }));
+  }
+
+  /**
+   * Effect to write the state to the URL whenever it changes
+   *
+   * Does nothing if the URL already matches (e.g. after back/forward)
+   */
+  useEffect(
+    function () {
+      const search = formatUrlState(state);
+      const shouldPush = pushRef.current;
+      pushRef.current = false;
+
+      if (search === window.location.search) return;
+
+      const { pathname, hash } = window.location;
+      const url = `${pathname}${search}${hash}`;
+
+      if (shouldPush) window.history.pushState(null, "", url);
+      else window.history.replaceState(null, "", url);
+    },
+    [state]
+  );
+
+  /**
+   * Effect to follow the browser's back and forward buttons
+   */
+  useEffect(function () {
+    function handlePopState() {
+      setState(parseUrlState(window.location.search));
+    }
+
+    window.addEventListener("popstate", handlePopState);
+
+    // Cleanup function: removes the listener on unmount
+    return function () {
+      window.removeEventListener("popstate", handlePopState);
+    };
+  }, []);
+
+  return [state, updateState];
+}
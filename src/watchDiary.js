@@ -0,0 +1,147 @@
+/**
+ * watchDiary - Helpers for the Watch Diary
+ *
+ * Every watched movie keeps a list of the times it was watched:
+ *   watches: [{ watchedOn: "2026-10-19", userRating: 8 }, ...]
+ * sorted from the first watch to the last. Rewatches get their own entry
+ * and rating; the movie's userRating is the rating of its latest watch.
+ *
+ * watchedOn is a local calendar date ("YYYY-MM-DD"), or null for movies
+ * logged before the diary existed (the date is unknown).
+ *
+ * @example
+ * const months = groupDiaryByMonth(getDiary(watched));
+ * // [{ month: "2026-10", label: "October 2026", entries: [...] }, ...]
+ */
+
+/**
+ * Today's date in the user's time zone
+ *
+ * @returns {string} e.g. "2026-10-19"
+ */
+export function getToday() {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, "0");
+  const day = String(now.getDate()).padStart(2, "0");
+
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Sorts watches from the first to the last
+ *
+ * Watches with an unknown date come first, since they were logged before
+ * the diary existed
+ *
+ * @param {Array} watches - Watches of one movie
+ * @returns {Array} Sorted copy
+ */
+export function sortWatches(watches) {
+  return [...watches].sort((a, b) =>
+    (a.watchedOn ?? "").localeCompare(b.watchedOn ?? "")
+  );
+}
+
+/**
+ * Adds a watch to a movie and updates its current rating
+ *
+ * @param {Object} movie - Watched movie object
+ * @param {Object} watch - { watchedOn, userRating }
+ * @returns {Object} { watches, userRating } for the updated movie
+ */
+export function addWatch(movie, watch) {
+  const watches = sortWatches([...(movie.watches ?? []), watch]);
+
+  return { watches, userRating: watches.at(-1).userRating };
+}
+
+/**
+ * Changes the rating of a movie's latest watch
+ *
+ * Used when the user edits the rating of a watched movie: the new rating
+ * is what they think after their last watch
+ *
+ * @param {Array} watches - Watches of one movie
+ * @param {number} userRating - New rating
+ * @returns {Array} Updated copy
+ */
+export function rateLatestWatch(watches = [], userRating) {
+  if (!watches.length) return watches;
+  return [...watches.slice(0, -1), { ...watches.at(-1), userRating }];
+}
+
+/**
+ * Appends a new rating to a movie's rating history
+ *
+ * @param {Object} movie - Watched movie object
+ * @param {number} userRating - The movie's rating after the change
+ * @returns {Array} The new ratingHistory (unchanged if the rating is the same)
+ */
+export function getRatingHistory(movie, userRating) {
+  // Movies added before ratingHistory existed start with their
+  // current rating (the date it was given is unknown)
+  const ratingHistory = movie.ratingHistory ?? [
+    { userRating: movie.userRating, ratedAt: null },
+  ];
+
+  if (userRating === movie.userRating) return ratingHistory;
+  return [...ratingHistory, { userRating, ratedAt: new Date().toISOString() }];
+}
+
+/**
+ * Lists every watch of every movie, most recent first
+ *
+ * @param {Array} watched - Array of watched movie objects
+ * @returns {Array} Diary entries: { key, imdbID, title, poster, watchedOn,
+ *                  userRating, isRewatch }; unknown dates come last
+ */
+export function getDiary(watched) {
+  const entries = watched.flatMap((movie) =>
+    (movie.watches ?? []).map((watch, i) => ({
+      key: `${movie.imdbID}:${i}`,
+      imdbID: movie.imdbID,
+      title: movie.title,
+      poster: movie.poster,
+      watchedOn: watch.watchedOn,
+      userRating: watch.userRating,
+      isRewatch: i > 0,
+    }))
+  );
+
+  return entries.sort((a, b) =>
+    (b.watchedOn ?? "").localeCompare(a.watchedOn ?? "")
+  );
+}
+
+/**
+ * Groups diary entries by month, keeping their order
+ *
+ * @param {Array} entries - Diary entries, most recent first
+ * @returns {Array} [{ month: "2026-10" | null, label, entries }]
+ */
+export function groupDiaryByMonth(entries) {
+  const groups = [];
+
+  for (const entry of entries) {
+    const month = entry.watchedOn?.slice(0, 7) ?? null;
+    let group = groups.at(-1);
+
+    if (!group || group.month !== month) {
+      group = {
+        month,
+        label: month
+          ? new Date(`${month}-01T00:00`).toLocaleDateString(undefined, {
+              month: "long",
+              year: "numeric",
+            })
+          : "Date unknown",
+        entries: [],
+      };
+      groups.push(group);
+    }
+
+    group.entries.push(entry);
+  }
+
+  return groups;
+}
@@ -0,0 +1,167 @@
+/**
+ * watchedList - Sorting and Filtering Helpers for the Watched List
+ *
+ * Pure functions used by the App to decide which watched movies are shown
+ * and in which order. They never modify the watched array itself.
+ *
+ * @example
+ * const visible = sortWatched(
+ *   filterWatched(watched, { text: "dune", genre: "Sci-Fi" }),
+ *   { field: "userRating", order: "desc" }
+ * );
+ */
+
+// Fields the watched list can be sorted by, with their labels for the UI
+export const SORT_FIELDS = [
+  { value: "addedAt", label: "Date added" },
+  { value: "userRating", label: "Your rating" },
+  { value: "imdbRating", label: "IMDb rating" },
+  { value: "runtime", label: "Runtime" },
+  { value: "title", label: "Title" },
+  { value: "year", label: "Year" },
+];
+
+// Sort used until the user picks one: most recently added first
+export const DEFAULT_SORT = { field: "addedAt", order: "desc" };
+
+/**
+ * Converts an OMDb runtime into a number of minutes
+ *
+ * @param {string|number} runtime - e.g. "148 min", "148" or 148
+ * @returns {number} Minutes, or 0 if the runtime is unknown ("N/A")
+ * @example
+ * parseRuntime("148 min") // returns 148
+ */
+export function parseRuntime(runtime) {
+  return parseInt(runtime, 10) || 0;
+}
+
+/**
+ * Tells films, series and episodes apart
+ *
+ * @param {Object} movie - Watched movie object
+ * @returns {string} "movie", "series" or "episode" (entries saved before
+ *                   the type was stored are films)
+ */
+export function getEntryType(movie) {
+  return movie.type ?? "movie";
+}
+
+/**
+ * Minutes of watching a watched entry stands for
+ *
+ * OMDb gives a series the runtime of one episode, which says nothing about
+ * how much of it the user watched. Series therefore count as 0; their
+ * episodes are logged separately, each with its own runtime.
+ *
+ * @param {Object} movie - Watched movie object
+ * @returns {number} Minutes
+ */
+export function getWatchTime(movie) {
+  return getEntryType(movie) === "series" ? 0 : movie.runtime || 0;
+}
+
+/**
+ * Splits a comma-separated OMDb field ("Genre", "Director", "Actors") into names
+ *
+ * @param {string} value - e.g. "Lana Wachowski, Lilly Wachowski"
+ * @returns {string[]} Names (empty for missing or "N/A" values)
+ */
+export function splitNames(value) {
+  if (!value || value === "N/A") return [];
+  return value.split(",").map((name) => name.trim());
+}
+
+/**
+ * Splits a comma-separated OMDb genre string into a list
+ *
+ * @param {Object} movie - Watched movie object
+ * @returns {string[]} Genres of the movie (empty for movies saved without one)
+ * @example
+ * getMovieGenres({ genre: "Action, Sci-Fi" }) // returns ["Action", "Sci-Fi"]
+ */
+export function getMovieGenres(movie) {
+  return splitNames(movie.genre);
+}
+
+/**
+ * Collects every genre that appears in the watched list
+ *
+ * @param {Array} watched - Array of watched movie objects
+ * @returns {string[]} Alphabetically sorted, unique genres
+ */
+export function getGenres(watched) {
+  const genres = new Set(watched.flatMap(getMovieGenres));
+  return [...genres].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Keeps only the watched movies matching the text and genre filters
+ *
+ * @param {Array} watched - Array of watched movie objects
+ * @param {Object} filters - Filters to apply
+ * @param {string} filters.text - Case-insensitive text matched against title and note
+ * @param {string} filters.genre - Genre the movie must have, or "" for all
+ * @returns {Array} Filtered watched movies
+ */
+export function filterWatched(watched, { text = "", genre = "" } = {}) {
+  const needle = text.trim().toLowerCase();
+
+  return watched.filter(function (movie) {
+    if (genre && !getMovieGenres(movie).includes(genre)) return false;
+    if (!needle) return true;
+
+    return [movie.title, movie.note]
+      .filter(Boolean)
+      .some((value) => value.toLowerCase().includes(needle));
+  });
+}
+
+/**
+ * Returns the value a movie is sorted by for a given field
+ *
+ * @param {Object} movie - Watched movie object
+ * @param {string} field - One of the SORT_FIELDS values
+ * @param {number} index - Position of the movie in the watched list
+ * @returns {number|string} Comparable value
+ */
+function getSortValue(movie, field, index) {
+  switch (field) {
+    case "title":
+      return movie.title ?? "";
+    // Series years look like "2008–2013": sort by the first year
+    case "year":
+      return parseInt(movie.year, 10) || 0;
+    case "runtime":
+    case "userRating":
+    case "imdbRating":
+      return Number(movie[field]) || 0;
+    // Movies are appended to the watched list, so its order is the date added
+    default:
+      return index;
+  }
+}
+
+/**
+ * Sorts watched movies by the given field and order
+ *
+ * @param {Array} watched - Array of watched movie objects
+ * @param {Object} sort - Sort settings
+ * @param {string} sort.field - One of the SORT_FIELDS values
+ * @param {string} sort.order - "asc" or "desc"
+ * @returns {Array} New, sorted array
+ */
+export function sortWatched(watched, { field, order } = DEFAULT_SORT) {
+  const direction = order === "asc" ? 1 : -1;
+
+  return watched
+    .map((movie, index) => ({ movie, value: getSortValue(movie, field, index) }))
+    .sort(function (a, b) {
+      const result =
+        typeof a.value === "string"
+          ? a.value.localeCompare(b.value)
+          : a.value - b.value;
+      return result * direction;
+    })
+    .map(({ movie }) => movie);
+}
@@ -0,0 +1,143 @@
+/**
+ * watchedStats - Statistics About the Watched List
+ *
+ * Pure functions behind the stats dashboard: time spent watching, how the
+ * user rates compared to IMDb, and which genres, directors and actors come
+ * up most. They never modify the watched array itself.
+ *
+ * Movies saved before director and actors were stored simply don't count
+ * towards those rankings. Time watched counts episodes, not whole series
+ * (see getWatchTime).
+ *
+ * @example
+ * const stats = getWatchedStats(watched);
+ * stats.totalHours // 42.5
+ * stats.topDirectors // [{ name: "Christopher Nolan", count: 4 }, ...]
+ */
+
+import { getMovieGenres, getWatchTime, splitNames } from "./watchedList";
+
+// How many genres, directors and actors the rankings show
+const TOP_COUNT = 5;
+
+/**
+ * Counts how often each name appears and keeps the most frequent ones
+ *
+ * Ties are broken alphabetically, so the ranking is stable
+ *
+ * @param {string[]} names - Names, with repeats
+ * @param {number} limit - How many names to keep
+ * @returns {Array} [{ name, count }], most frequent first
+ */
+function rankNames(names, limit = TOP_COUNT) {
+  const counts = new Map();
+  for (const name of names) counts.set(name, (counts.get(name) ?? 0) + 1);
+
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+/**
+ * Counts movies per group, in ascending group order
+ *
+ * @param {Array} watched - Array of watched movie objects
+ * @param {Function} getGroup - Returns the group of a movie (or null to skip it)
+ * @returns {Array} [{ group, count }]
+ */
+function countByGroup(watched, getGroup) {
+  const counts = new Map();
+
+  for (const movie of watched) {
+    const group = getGroup(movie);
+    if (group !== null) counts.set(group, (counts.get(group) ?? 0) + 1);
+  }
+
+  return [...counts]
+    .sort(([a], [b]) => a - b)
+    .map(([group, count]) => ({ group, count }));
+}
+
+/**
+ * Gets the release year of a watched movie
+ *
+ * @param {Object} movie - Watched movie object
+ * @returns {number|null} First year (series like "2008–2013" give 2008),
+ *                        or null if unknown
+ */
+function getReleaseYear(movie) {
+  return parseInt(movie.year, 10) || null;
+}
+
+/**
+ * Computes every statistic shown on the stats dashboard
+ *
+ * @param {Array} watched - Array of watched movie objects
+ * @returns {Object} {
+ *   totalHours: number,        // Sum of watch times, in hours (1 decimal),
+ *                              // counting every rewatch in the diary
+ *   ratingHistogram: Array,    // [{ rating: 1..10, count }], half stars
+ *                              // count towards the lower star (7.5 -> 7)
+ *   ratingDeltas: Array,       // [{ imdbID, title, userRating, imdbRating, delta }],
+ *                              // biggest difference first
+ *   avgDelta: number,          // Average of userRating - imdbRating
+ *   topGenres: Array,          // [{ name, count }]
+ *   topDirectors: Array,       // [{ name, count }]
+ *   topActors: Array,          // [{ name, count }]
+ *   perYear: Array,            // [{ group: 2010, count }]
+ *   perDecade: Array,          // [{ group: 2010, count }] (the 2010s)
+ * }
+ */
+export function getWatchedStats(watched) {
+  // Each rewatch logged in the diary counts again
+  // (entries saved before the diary existed count as one watch)
+  const totalMinutes = watched.reduce(
+    (total, movie) =>
+      total + getWatchTime(movie) * (movie.watches?.length || 1),
+    0
+  );
+
+  const ratingHistogram = Array.from({ length: 10 }, (_, i) => ({
+    rating: i + 1,
+    count: 0,
+  }));
+  for (const movie of watched) {
+    const star = Math.floor(movie.userRating);
+    if (star >= 1 && star <= 10) ratingHistogram[star - 1].count++;
+  }
+
+  // Movies without an IMDb rating can't be compared
+  const ratingDeltas = watched
+    .filter((movie) => movie.imdbRating > 0)
+    .map((movie) => ({
+      imdbID: movie.imdbID,
+      title: movie.title,
+      userRating: movie.userRating,
+      imdbRating: movie.imdbRating,
+      delta: Number((movie.userRating - movie.imdbRating).toFixed(1)),
+    }))
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  const avgDelta = ratingDeltas.length
+    ? ratingDeltas.reduce((total, { delta }) => total + delta, 0) /
+      ratingDeltas.length
+    : 0;
+
+  return {
+    totalHours: Math.round(totalMinutes / 6) / 10,
+    ratingHistogram,
+    ratingDeltas,
+    avgDelta,
+    topGenres: rankNames(watched.flatMap(getMovieGenres)),
+    topDirectors: rankNames(
+      watched.flatMap((movie) => splitNames(movie.director))
+    ),
+    topActors: rankNames(watched.flatMap((movie) => splitNames(movie.actors))),
+    perYear: countByGroup(watched, getReleaseYear),
+    perDecade: countByGroup(watched, function (movie) {
+      const year = getReleaseYear(movie);
+      return year === null ? null : Math.floor(year / 10) * 10;
+    }),
+  };
+}
@@ -0,0 +1,459 @@
+/**
+ * watchedTransfer - Export and Import of the Watched List
+ *
+ * Helpers to back up the watched list and move it between browsers.
+ *
+ * Supported formats:
+ * - JSON: the watched array exactly as the app stores it
+ * - CSV: one row per movie, same fields as JSON (only the date of the
+ *   latest watch is kept, as watchedOn)
+ * - Letterboxd diary CSV (import only): rows are matched to IMDb IDs
+ *   through the movie provider, since Letterboxd exports don't include them
+ *
+ * Importing never replaces the list blindly: imported entries are validated,
+ * merged with the current list by imdbID, and the caller gets a plan that
+ * can be previewed before it is applied.
+ *
+ * @example
+ * const { entries, errors } = await parseImport(text, file.name);
+ * const plan = planMerge(watched, entries);
+ * // show plan.added / plan.updated, then:
+ * setWatched(plan.merged);
+ */
+
+import { movieProvider } from "./movieProvider";
+import { parseRuntime } from "./watchedList";
+import { getRatingHistory, rateLatestWatch } from "./watchDiary";
+
+// Columns written to (and read from) our own CSV export, in order
+const CSV_COLUMNS = [
+  "imdbID",
+  "title",
+  "year",
+  "poster",
+  "genre",
+  "director",
+  "actors",
+  "imdbRating",
+  "userRating",
+  "runtime",
+  "note",
+  "countRatingDecisions",
+  "watchedOn",
+  "type",
+  "seriesID",
+  "season",
+  "episode",
+];
+
+// Header that identifies a Letterboxd export
+const LETTERBOXD_HEADER = "Letterboxd URI";
+
+/**
+ * Quotes a value for CSV if it contains a comma, quote or line break
+ *
+ * @param {any} value - Value to write
+ * @returns {string} CSV-safe cell
+ */
+function toCsvCell(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Parses CSV text into rows of cells
+ *
+ * Supports quoted cells with commas, escaped quotes ("") and line breaks.
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cells (empty lines are skipped)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      // Treat \r\n as a single line break
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  // Last row if the file doesn't end with a line break
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((row) => row.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * Turns CSV rows into objects keyed by the header row
+ *
+ * @param {string[][]} rows - Parsed CSV rows, header first
+ * @returns {Object[]} One object per data row
+ */
+function rowsToObjects([header = [], ...rows]) {
+  return rows.map((row) =>
+    Object.fromEntries(header.map((name, i) => [name.trim(), row[i] ?? ""]))
+  );
+}
+
+/**
+ * Serializes the watched list as JSON
+ *
+ * @param {Array} watched - Array of watched movie objects
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportJson(watched) {
+  return JSON.stringify(watched, null, 2);
+}
+
+/**
+ * Serializes the watched list as CSV
+ *
+ * @param {Array} watched - Array of watched movie objects
+ * @returns {string} CSV text with a header row
+ */
+export function exportCsv(watched) {
+  const lines = [
+    CSV_COLUMNS.join(","),
+    ...watched.map(function (movie) {
+      const row = { ...movie, watchedOn: movie.watches?.at(-1)?.watchedOn };
+      return CSV_COLUMNS.map((column) => toCsvCell(row[column])).join(",");
+    }),
+  ];
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Checks that a value is a rating on our 1-10 scale
+ *
+ * @param {any} value - Imported rating
+ * @returns {boolean} True if 0 < value <= 10
+ */
+function isRating(value) {
+  return typeof value === "number" && value > 0 && value <= 10;
+}
+
+/**
+ * Checks that a value is a calendar date ("YYYY-MM-DD") that exists
+ *
+ * @param {any} value - Imported date
+ * @returns {boolean} True for e.g. "2024-02-29", false for "2023-02-29"
+ */
+function isCalendarDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value))
+    return false;
+
+  // Invalid days roll over (2023-02-29 becomes March 1st), so compare back
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Checks the diary watches of an imported entry
+ *
+ * @param {any} watches - Imported watches: [{ watchedOn, userRating }]
+ * @returns {string|null} Reason the watches are invalid, or null if valid
+ */
+function checkWatches(watches) {
+  for (const watch of watches) {
+    if (!watch || typeof watch !== "object") return "invalid watch";
+    if (watch.watchedOn !== null && !isCalendarDate(watch.watchedOn))
+      return `invalid watch date "${watch.watchedOn}"`;
+    if (!isRating(watch.userRating))
+      return "watch ratings must be between 1 and 10";
+  }
+
+  return null;
+}
+
+/**
+ * Checks the rating history of an imported entry
+ *
+ * ratedAt may be null: movies rated before the history existed start it
+ * with their rating at the time, whose date is unknown
+ *
+ * @param {any} ratingHistory - Imported ratings: [{ userRating, ratedAt }]
+ * @returns {string|null} Reason the history is invalid, or null if valid
+ */
+function checkRatingHistory(ratingHistory) {
+  for (const rating of ratingHistory) {
+    if (!rating || typeof rating !== "object") return "invalid rating history";
+    if (!isRating(rating.userRating))
+      return "rating history must be between 1 and 10";
+    if (
+      rating.ratedAt !== null &&
+      (typeof rating.ratedAt !== "string" ||
+        Number.isNaN(Date.parse(rating.ratedAt)))
+    )
+      return `invalid rating date "${rating.ratedAt}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Checks an imported entry and converts it to the watched entry shape
+ *
+ * JSON entries keep their diary watches; CSV and Letterboxd rows only
+ * carry the date of one watch, kept as watchedOn (null if missing) so
+ * planMerge doesn't mistake it for the movie's whole diary
+ *
+ * Entries with malformed watches or rating history are rejected rather
+ * than imported partly, so the diary and stats never see bad data
+ *
+ * @param {Object} raw - Entry read from JSON or CSV
+ * @returns {Object} { entry } if valid, { error } with a reason otherwise
+ */
+export function validateEntry(raw) {
+  if (!raw || typeof raw !== "object") return { error: "Not a movie entry" };
+
+  const imdbID = String(raw.imdbID ?? "").trim();
+  if (!/^tt\d+$/.test(imdbID)) return { error: `Invalid IMDb ID "${imdbID}"` };
+
+  const title = String(raw.title ?? "").trim();
+  if (!title) return { error: `${imdbID}: missing title` };
+
+  const userRating = Number(raw.userRating);
+  if (!(userRating > 0 && userRating <= 10))
+    return { error: `${title}: rating must be between 1 and 10` };
+
+  const watchedOn = raw.watchedOn || null;
+  if (watchedOn !== null && !isCalendarDate(watchedOn))
+    return { error: `${title}: invalid watch date "${watchedOn}"` };
+
+  const watches = Array.isArray(raw.watches) ? raw.watches : null;
+  const watchesError = watches && checkWatches(watches);
+  if (watchesError) return { error: `${title}: ${watchesError}` };
+
+  const ratingHistoryError =
+    Array.isArray(raw.ratingHistory) && checkRatingHistory(raw.ratingHistory);
+  if (ratingHistoryError) return { error: `${title}: ${ratingHistoryError}` };
+
+  return {
+    entry: {
+      imdbID,
+      title,
+      year: String(raw.year ?? ""),
+      poster: String(raw.poster ?? ""),
+      genre: String(raw.genre ?? ""),
+      director: String(raw.director ?? ""),
+      actors: String(raw.actors ?? ""),
+      imdbRating: Number(raw.imdbRating) || 0,
+      userRating,
+      // Runtime is stored as a number of minutes
+      runtime: parseRuntime(raw.runtime),
+      note: String(raw.note ?? ""),
+      countRatingDecisions: Number(raw.countRatingDecisions) || 0,
+      ...(Array.isArray(raw.ratingHistory) && {
+        ratingHistory: raw.ratingHistory,
+      }),
+      ...(watches ? { watches } : { watchedOn }),
+      // Films exported before types were stored have none
+      ...(["movie", "series", "episode"].includes(raw.type) && {
+        type: raw.type,
+      }),
+      // Episodes keep the series and place they belong to
+      ...(raw.type === "episode" && {
+        seriesID: String(raw.seriesID ?? ""),
+        season: Number(raw.season) || 0,
+        episode: Number(raw.episode) || 0,
+      }),
+    },
+  };
+}
+
+/**
+ * Finds the IMDb movie for a Letterboxd diary row and builds a watched entry
+ *
+ * Letterboxd ratings go from 0.5 to 5 stars, so they are doubled to fit
+ * our 1-10 scale.
+ *
+ * @param {Object} row - Letterboxd row with Name, Year, Rating and Review
+ * @returns {Promise<Object>} Raw entry to be checked with validateEntry
+ */
+async function resolveLetterboxdRow(row) {
+  const { movies } = await movieProvider.search(row.Name, {
+    type: "movie",
+    year: row.Year || undefined,
+  });
+  const movie = await movieProvider.getById(movies[0].imdbID);
+
+  return {
+    imdbID: movie.imdbID,
+    title: movie.Title,
+    year: movie.Year,
+    poster: movie.Poster,
+    genre: movie.Genre,
+    director: movie.Director,
+    actors: movie.Actors,
+    imdbRating: movie.imdbRating,
+    userRating: Number(row.Rating) * 2,
+    runtime: movie.Runtime,
+    note: row.Review ?? "",
+    countRatingDecisions: 0,
+    watchedOn: row["Watched Date"],
+  };
+}
+
+/**
+ * Reads an import file in any supported format
+ *
+ * The format is detected from the file name and content. Invalid rows are
+ * skipped and reported in `errors` instead of failing the whole import.
+ *
+ * @param {string} text - File content
+ * @param {string} fileName - File name, used to tell JSON from CSV
+ * @returns {Promise<Object>} { format, entries: Array, errors: string[] }
+ */
+export async function parseImport(text, fileName = "") {
+  let format;
+  let raws;
+
+  if (fileName.toLowerCase().endsWith(".json") || /^\s*\[/.test(text)) {
+    format = "json";
+    try {
+      raws = JSON.parse(text);
+    } catch {
+      throw new Error("The file is not valid JSON");
+    }
+    if (!Array.isArray(raws)) throw new Error("Expected a list of movies");
+  } else {
+    const objects = rowsToObjects(parseCsv(text));
+
+    if (objects.length && LETTERBOXD_HEADER in objects[0]) {
+      format = "letterboxd";
+      raws = [];
+
+      // Look the movies up one at a time to stay within API rate limits
+      for (const row of objects) {
+        try {
+          raws.push(await resolveLetterboxdRow(row));
+        } catch {
+          raws.push({ error: `${row.Name} (${row.Year}): not found` });
+        }
+      }
+    } else {
+      format = "csv";
+      raws = objects;
+    }
+  }
+
+  const entries = [];
+  const errors = [];
+
+  raws.forEach(function (raw, i) {
+    const { entry, error } = raw?.error ? raw : validateEntry(raw);
+    if (entry) entries.push(entry);
+    else errors.push(`Row ${i + 1}: ${error}`);
+  });
+
+  return { format, entries, errors };
+}
+
+/**
+ * Works out how imported entries change the watched list
+ *
+ * Entries are matched by imdbID:
+ * - New movies are appended (rows without a diary get a single watch on
+ *   their watchedOn date)
+ * - Known movies take the imported rating and note (if they differ), the
+ *   new rating is added to their rating history, and:
+ *   - a JSON diary (watches) replaces theirs
+ *   - otherwise the new rating goes to their latest watch, so a CSV row
+ *     (which only has the latest watch date) keeps the earlier rewatches
+ * - Within the import, the last entry for a movie wins
+ *
+ * @param {Array} watched - Current watched list
+ * @param {Array} entries - Validated imported entries
+ * @returns {Object} { added, updated, unchanged, merged } where merged is
+ *                   the watched list after applying the import
+ */
+export function planMerge(watched, entries) {
+  // Deduplicate the import itself, keeping the last entry per movie
+  const incoming = new Map(entries.map((entry) => [entry.imdbID, entry]));
+
+  const added = [];
+  const updated = [];
+  const unchanged = [];
+
+  const merged = watched.map(function (movie) {
+    const entry = incoming.get(movie.imdbID);
+    if (!entry) return movie;
+
+    incoming.delete(movie.imdbID);
+
+    if (entry.userRating === movie.userRating && entry.note === movie.note) {
+      unchanged.push(movie);
+      return movie;
+    }
+
+    const updatedMovie = {
+      ...movie,
+      userRating: entry.userRating,
+      note: entry.note,
+      // updatedAt decides which tab wins if two tabs edit the same movie
+      updatedAt: new Date().toISOString(),
+      ratingHistory: getRatingHistory(movie, entry.userRating),
+      watches:
+        entry.watches ?? rateLatestWatch(movie.watches, entry.userRating),
+    };
+    updated.push(updatedMovie);
+    return updatedMovie;
+  });
+
+  for (const { watchedOn, ...entry } of incoming.values()) {
+    added.push({
+      ...entry,
+      watches: entry.watches ?? [{ watchedOn, userRating: entry.userRating }],
+    });
+  }
+
+  return { added, updated, unchanged, merged: [...merged, ...added] };
+}
+
+/**
+ * Lets the browser download a text file
+ *
+ * @param {string} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, fileName, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,77 @@
+/**
+ * Tests for watchedTransfer: exporting the watched list and importing it back
+ */
+
+import {
+  exportCsv,
+  exportJson,
+  parseImport,
+  planMerge,
+} from "./watchedTransfer";
+
+// A movie added before the rating history existed, then edited:
+// its history starts with the old rating, whose date is unknown
+const LEGACY_MOVIE = {
+  imdbID: "tt1375666",
+  title: "Inception",
+  year: "2010",
+  poster: "",
+  genre: "Action, Sci-Fi",
+  director: "Christopher Nolan",
+  actors: "Leonardo DiCaprio",
+  imdbRating: 8.8,
+  userRating: 9,
+  runtime: 148,
+  note: "Still holds up",
+  countRatingDecisions: 2,
+  ratingHistory: [
+    { userRating: 8, ratedAt: null },
+    { userRating: 9, ratedAt: "2026-05-01T18:30:00.000Z" },
+  ],
+  watches: [
+    { watchedOn: null, userRating: 8 },
+    { watchedOn: "2026-05-01", userRating: 9 },
+  ],
+};
+
+test("a JSON export imports back without errors", async () => {
+  const { format, entries, errors } = await parseImport(
+    exportJson([LEGACY_MOVIE]),
+    "watched.json"
+  );
+
+  expect(format).toBe("json");
+  expect(errors).toEqual([]);
+  expect(entries).toEqual([LEGACY_MOVIE]);
+});
+
+test("a CSV import keeps the earlier watches of a known movie", async () => {
+  const csv = exportCsv([{ ...LEGACY_MOVIE, userRating: 7 }]);
+  const { entries, errors } = await parseImport(csv, "watched.csv");
+  expect(errors).toEqual([]);
+
+  const { updated, merged } = planMerge([LEGACY_MOVIE], entries);
+
+  expect(updated).toHaveLength(1);
+  expect(merged[0].userRating).toBe(7);
+  expect(merged[0].watches).toEqual([
+    { watchedOn: null, userRating: 8 },
+    { watchedOn: "2026-05-01", userRating: 7 },
+  ]);
+  expect(merged[0].ratingHistory.map((rating) => rating.userRating)).toEqual([
+    8, 9, 7,
+  ]);
+  expect(merged[0].updatedAt).toEqual(expect.any(String));
+});
+
+test("a CSV row for a new movie becomes its first watch", async () => {
+  const csv = exportCsv([LEGACY_MOVIE]);
+  const { entries } = await parseImport(csv, "watched.csv");
+
+  const { added } = planMerge([], entries);
+
+  expect(added[0].watches).toEqual([
+    { watchedOn: "2026-05-01", userRating: 9 },
+  ]);
+  expect(added[0]).not.toHaveProperty("watchedOn");
+});